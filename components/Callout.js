@@ -0,0 +1,113 @@
+import { useEffect, useRef } from 'react'
+
+const callouts = {
+  note: {
+    title: 'Note',
+    className: 'border-sky-500 bg-sky-50 dark:bg-sky-500/10',
+    iconClassName: 'text-sky-500',
+    icon: 'M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z',
+  },
+  tip: {
+    title: 'Tip',
+    className: 'border-green-500 bg-green-50 dark:bg-green-500/10',
+    iconClassName: 'text-green-500',
+    icon: 'M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z',
+  },
+  warning: {
+    title: 'Warning',
+    className: 'border-amber-500 bg-amber-50 dark:bg-amber-500/10',
+    iconClassName: 'text-amber-500',
+    icon: 'M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z',
+  },
+  danger: {
+    title: 'Danger',
+    className: 'border-red-500 bg-red-50 dark:bg-red-500/10',
+    iconClassName: 'text-red-500',
+    icon: 'M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z',
+  },
+  details: {
+    title: 'Details',
+    className: 'border-gray-400 bg-gray-50 dark:border-gray-500 dark:bg-gray-800/50',
+    iconClassName: 'text-gray-500 transition-transform group-open:rotate-90',
+    icon: 'M9 5l7 7-7 7',
+  },
+}
+
+// Printed callouts keep their border but not their background
+const boxClassName =
+  'my-6 rounded-r-md border-l-4 px-4 py-3 print:break-inside-avoid print:bg-white'
+
+const contentClassName = 'mt-2 [&>*:first-child]:mt-0 [&>*:last-child]:mb-0'
+
+const Icon = ({ path, className }) => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    aria-hidden="true"
+    className={`h-5 w-5 shrink-0 ${className}`}
+  >
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={path} />
+  </svg>
+)
+
+/**
+ * Collapsed, except when printed
+ */
+const Details = ({ title, children }) => {
+  const details = useRef(null)
+
+  useEffect(() => {
+    let wasOpen = false
+    const onBeforePrint = () => {
+      wasOpen = details.current.open
+      details.current.open = true
+    }
+    const onAfterPrint = () => {
+      details.current.open = wasOpen
+    }
+    window.addEventListener('beforeprint', onBeforePrint)
+    window.addEventListener('afterprint', onAfterPrint)
+    return () => {
+      window.removeEventListener('beforeprint', onBeforePrint)
+      window.removeEventListener('afterprint', onAfterPrint)
+    }
+  }, [])
+
+  const { className, iconClassName, icon } = callouts.details
+  return (
+    <details ref={details} className={`group ${boxClassName} ${className}`}>
+      <summary className="flex cursor-pointer list-none items-center gap-2 font-semibold text-gray-900 dark:text-gray-100 [&::-webkit-details-marker]:hidden">
+        <Icon path={icon} className={iconClassName} />
+        {title}
+      </summary>
+      <div className={contentClassName}>{children}</div>
+    </details>
+  )
+}
+
+/**
+ * A note, tip, warning, danger or details block, written as `:::note` … `:::` in posts, see
+ * lib/remark-callouts.js
+ *
+ * @param {{ type: 'note' | 'tip' | 'warning' | 'danger' | 'details', title?: string }} props
+ *  title defaults to the name of the type
+ */
+const Callout = ({ type = 'note', title, children }) => {
+  const callout = callouts[type] || callouts.note
+  if (type === 'details') {
+    return <Details title={title || callout.title}>{children}</Details>
+  }
+  return (
+    <aside className={`${boxClassName} ${callout.className}`}>
+      <p className="!my-0 flex items-center gap-2 font-semibold text-gray-900 dark:text-gray-100">
+        <Icon path={callout.icon} className={callout.iconClassName} />
+        {title || callout.title}
+      </p>
+      <div className={contentClassName}>{children}</div>
+    </aside>
+  )
+}
+
+export default Callout
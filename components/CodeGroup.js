@@ -0,0 +1,129 @@
+import { Children, isValidElement, useEffect, useId, useState } from 'react'
+
+const STORAGE_KEY = 'code-group-tabs'
+const CHANGE_EVENT = 'code-group-tabs'
+
+// Labels chosen by the reader, most recent first. A group shows the first one it has, so
+// choosing TypeScript in one group and HTTP in another keeps both.
+const MAX_PREFERENCES = 10
+
+const readPreferences = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch (e) {
+    return []
+  }
+}
+
+/**
+ * The preferred tabs, shared by the groups of a page and remembered across visits
+ */
+const usePreferences = () => {
+  const [preferences, setPreferences] = useState([])
+
+  useEffect(() => {
+    const onChange = (event) => setPreferences(event.detail || readPreferences())
+    setPreferences(readPreferences())
+    window.addEventListener(CHANGE_EVENT, onChange)
+    // Other windows
+    window.addEventListener('storage', onChange)
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, onChange)
+      window.removeEventListener('storage', onChange)
+    }
+  }, [])
+
+  const prefer = (label) => {
+    const next = [label, ...preferences.filter((preference) => preference !== label)].slice(
+      0,
+      MAX_PREFERENCES
+    )
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+    } catch (e) {
+      // storage can be disabled, the choice still applies to the page
+    }
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: next }))
+  }
+
+  return [preferences, prefer]
+}
+
+const getLabel = (element, index) =>
+  element.props['data-tab'] ||
+  /language-(\S+)/.exec(element.props.className || '')?.[1] ||
+  `Tab ${index + 1}`
+
+/**
+ * Code blocks in tabs, written as consecutive ```` ```ts tab ```` blocks in posts, see
+ * lib/remark-code-groups.js. A tab is any child element, labelled by its `data-tab` or its
+ * language.
+ *
+ * Printed, and wherever the styles do not apply like in feeds, the blocks are shown one after
+ * the other with their labels.
+ */
+const CodeGroup = ({ children }) => {
+  const id = useId()
+  const [preferences, prefer] = usePreferences()
+
+  const tabs = Children.toArray(children)
+    .filter(isValidElement)
+    .map((element, i) => ({ label: getLabel(element, i), element }))
+  const labels = tabs.map(({ label }) => label)
+  const preferred = preferences.find((label) => labels.includes(label))
+  const active = preferred === undefined ? 0 : labels.indexOf(preferred)
+
+  const onKeyDown = (event) => {
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[event.key]
+    if (!step) {
+      return
+    }
+    const next = (active + step + tabs.length) % tabs.length
+    prefer(labels[next])
+    document.getElementById(`${id}-tab-${next}`).focus()
+  }
+
+  return (
+    <div className="my-6">
+      <div
+        role="tablist"
+        className="flex gap-1 overflow-x-auto border-b border-gray-200 dark:border-gray-700 print:hidden"
+      >
+        {tabs.map(({ label }, i) => (
+          <button
+            key={i}
+            type="button"
+            role="tab"
+            id={`${id}-tab-${i}`}
+            aria-selected={i === active}
+            aria-controls={`${id}-panel-${i}`}
+            tabIndex={i === active ? 0 : -1}
+            onClick={() => prefer(label)}
+            onKeyDown={onKeyDown}
+            className={`-mb-px whitespace-nowrap border-b-2 px-3 py-1.5 text-sm font-medium ${
+              i === active
+                ? 'border-primary-500 text-primary-600 dark:text-primary-400'
+                : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {tabs.map(({ label, element }, i) => (
+        <div
+          key={i}
+          role="tabpanel"
+          id={`${id}-panel-${i}`}
+          aria-labelledby={`${id}-tab-${i}`}
+          className={`[&_pre]:mt-2 ${i === active ? '' : 'hidden print:block'}`}
+        >
+          <p className="hidden text-sm font-semibold print:block">{label}</p>
+          {element}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default CodeGroup
@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react'
+
+// Snippets that are still running after this are stopped
+const TIMEOUT = 5000
+
+// Served from public/, with a Content-Security-Policy of its own
+const WORKER_URL = '/static/code-runner-worker.js'
+
+const levelClassNames = {
+  warn: 'text-yellow-300',
+  error: 'text-red-300',
+}
+
+/**
+ * The editor, Run button and console of ```` ```js run ```` blocks, see
+ * lib/remark-runnable-code.js. Snippets run in a worker without access to the page, see
+ * public/static/code-runner-worker.js. One that is still running after 5 seconds is
+ * terminated, endless loops included. Loaded by Pre only on posts that have runnable blocks.
+ *
+ * @param {{ source: string, modules: Record<string, string>, children: React.ReactNode }} props
+ *  children is the highlighted code, shown until the code is edited
+ */
+const CodeRunner = ({ source: initialSource, modules, children }) => {
+  const [source, setSource] = useState(initialSource)
+  const [editing, setEditing] = useState(false)
+  // The snippet of the current run, a new object restarts an unchanged snippet
+  const [run, setRun] = useState(null)
+  const [output, setOutput] = useState([])
+
+  const running = run !== null
+  const stop = (message) => {
+    setRun(null)
+    if (message) {
+      setOutput((lines) => [...lines, { level: 'warn', text: message }])
+    }
+  }
+
+  useEffect(() => {
+    if (!run) {
+      return
+    }
+    const worker = new Worker(WORKER_URL)
+    worker.addEventListener('message', (event) => {
+      if (event.data.type === 'console') {
+        setOutput((lines) => [...lines, { level: event.data.level, text: event.data.text }])
+      } else if (event.data.type === 'done') {
+        stop()
+      }
+    })
+    // The worker could not be loaded, errors of the snippet are printed by the worker
+    worker.addEventListener('error', () => stop('The code could not be run'))
+    worker.postMessage({ source: run.source, modules: run.modules })
+    const timeout = setTimeout(() => stop(`Stopped after ${TIMEOUT / 1000} seconds`), TIMEOUT)
+    return () => {
+      clearTimeout(timeout)
+      worker.terminate()
+    }
+  }, [run])
+
+  const onRun = () => {
+    setOutput([])
+    setRun({ source, modules })
+  }
+
+  const buttonClassName = 'rounded px-3 py-1 text-sm font-medium'
+
+  return (
+    <div className="mb-6">
+      {editing ? (
+        <textarea
+          aria-label="Code"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          rows={source.split('\n').length}
+          spellCheck={false}
+          className="my-6 block w-full rounded-md border-0 bg-gray-800 p-4 font-mono text-sm text-gray-100 focus:ring-primary-500"
+        />
+      ) : (
+        children
+      )}
+      <div className="-mt-4 flex items-center gap-2 print:hidden">
+        <button
+          type="button"
+          onClick={running ? () => stop('Stopped') : onRun}
+          className={`${buttonClassName} bg-primary-500 text-white hover:bg-primary-600 dark:hover:bg-primary-400`}
+        >
+          {running ? 'Stop ■' : 'Run ▶'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setEditing(!editing)}
+          className={`${buttonClassName} bg-gray-200 text-gray-800 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600`}
+        >
+          {editing ? 'Done' : 'Edit'}
+        </button>
+        {source !== initialSource && (
+          <button
+            type="button"
+            onClick={() => {
+              setSource(initialSource)
+              setEditing(false)
+            }}
+            className={`${buttonClassName} text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-100`}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+      {output.length > 0 && (
+        <ol
+          aria-label="Console"
+          aria-live="polite"
+          className="mt-2 space-y-1 rounded-md bg-gray-800 p-3 font-mono text-sm text-gray-100 print:hidden"
+        >
+          {output.map(({ level, text }, i) => (
+            <li key={i} className={`whitespace-pre-wrap ${levelClassNames[level] || ''}`}>
+              {text}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default CodeRunner
@@ -0,0 +1,43 @@
+import Link from '@/components/Link'
+import { getCrossPosts, getOriginalPublication } from '@/lib/canonical'
+
+const PublicationLink = ({ name, url }) => (
+  <Link href={url} className="text-primary-500 hover:text-primary-600 dark:hover:text-primary-400">
+    {name}
+  </Link>
+)
+
+const joinLinks = (publications) =>
+  publications.map((publication, i) => (
+    <span key={publication.url}>
+      {i > 0 && (i === publications.length - 1 ? ' and ' : ', ')}
+      <PublicationLink {...publication} />
+    </span>
+  ))
+
+/**
+ * "Originally published at…" for posts with a `canonicalUrl` on another site, and the other
+ * sites in `crossPosted`
+ *
+ * @param {{ frontMatter: object }} props
+ */
+const CrossPostBanner = ({ frontMatter }) => {
+  const original = getOriginalPublication(frontMatter)
+  const crossPosts = getCrossPosts(frontMatter)
+  if (!original && crossPosts.length === 0) {
+    return null
+  }
+
+  return (
+    <aside className="not-prose my-8 rounded-md border-2 border-gray-200 border-opacity-60 px-6 py-4 text-sm text-gray-700 dark:border-gray-700 dark:text-gray-300">
+      {original && (
+        <p>
+          Originally published at <PublicationLink {...original} />.
+        </p>
+      )}
+      {crossPosts.length > 0 && <p>Also published on {joinLinks(crossPosts)}.</p>}
+    </aside>
+  )
+}
+
+export default CrossPostBanner
@@ -0,0 +1,27 @@
+const svgClassName = 'justify-center overflow-x-auto [&>svg]:h-auto [&>svg]:max-w-full'
+
+/**
+ * A diagram rendered at build time by lib/remark-diagrams.js, in a light and a dark variant
+ * that follow the theme
+ *
+ * @param {{ light: string, dark: string, title?: string }} props light and dark are svg markup
+ */
+const Diagram = ({ light, dark, title }) => (
+  <figure className="my-6">
+    <div
+      role="img"
+      aria-label={title}
+      className={`flex dark:hidden ${svgClassName}`}
+      dangerouslySetInnerHTML={{ __html: light }}
+    />
+    <div
+      role="img"
+      aria-label={title}
+      className={`hidden dark:flex ${svgClassName}`}
+      dangerouslySetInnerHTML={{ __html: dark }}
+    />
+    {title && <figcaption className="text-center">{title}</figcaption>}
+  </figure>
+)
+
+export default Diagram
@@ -0,0 +1,76 @@
+import dynamic from 'next/dynamic'
+import { Children, isValidElement, useState } from 'react'
+import Image from './Image'
+
+const Lightbox = dynamic(() => import('./Lightbox'))
+
+/**
+ * @returns {object[]} the props of the images in the children, in order
+ */
+const getImages = (children) =>
+  Children.toArray(children).flatMap((element) => {
+    if (!isValidElement(element)) {
+      return []
+    }
+    if (element.type === Image) {
+      return [element.props]
+    }
+    return getImages(element.props.children)
+  })
+
+/**
+ * A grid of photos that open in a components/Lightbox.js. The images are written as markdown,
+ * so that they are optimized like the others, and their titles are the captions:
+ *
+ * ```mdx
+ * <Gallery>
+ *
+ * ![Skógafoss](/static/blog/iceland-2022/skogafoss.jpg 'Skógafoss in the rain')
+ *
+ * ![Vík](/static/blog/iceland-2022/vik.jpg)
+ *
+ * </Gallery>
+ * ```
+ */
+const Gallery = ({ children }) => {
+  const images = getImages(children)
+  const [index, setIndex] = useState(null)
+
+  return (
+    <div className="not-prose my-6 grid grid-cols-2 gap-2 sm:grid-cols-3">
+      {images.map(({ alt, caption, title, ...image }, i) => (
+        <figure key={i} className="print:break-inside-avoid">
+          <button
+            type="button"
+            aria-label={alt ? `Open image: ${alt}` : 'Open image'}
+            className="block w-full cursor-zoom-in overflow-hidden rounded-md"
+            onClick={() => setIndex(i)}
+          >
+            <Image
+              {...image}
+              alt={alt}
+              zoom={false}
+              sizes="(min-width: 768px) 256px, 50vw"
+              className="aspect-[4/3] w-full object-cover transition-transform hover:scale-105"
+            />
+          </button>
+          {(caption || title) && (
+            <figcaption className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              {caption || title}
+            </figcaption>
+          )}
+        </figure>
+      ))}
+      {index !== null && (
+        <Lightbox
+          images={images}
+          index={index}
+          onChange={setIndex}
+          onClose={() => setIndex(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Gallery
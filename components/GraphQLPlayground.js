@@ -0,0 +1,175 @@
+import { useState } from 'react'
+
+const formatArgs = (args) => {
+  const entries = Object.entries(args)
+  return entries.length > 0
+    ? `(${entries.map(([name, value]) => `${name}: ${JSON.stringify(value)}`).join(', ')})`
+    : ''
+}
+
+/**
+ * Builds an executable schema from the SDL and a resolver map like
+ * `{ Query: { product: (parent, args, context, info) => {} }, Node: { __resolveType } }`.
+ * Every resolver call is logged. Fragments in the SDL are for the snippets of the post, see
+ * lib/remark-graphql.js, and are left out.
+ */
+const makeSchema = (graphql, typeDefs, resolvers, log) => {
+  const { definitions } = graphql.parse(typeDefs)
+  const schema = graphql.buildASTSchema({
+    kind: graphql.Kind.DOCUMENT,
+    definitions: definitions.filter(
+      (definition) => !graphql.isExecutableDefinitionNode(definition)
+    ),
+  })
+  Object.entries(resolvers).forEach(([typeName, fields]) => {
+    const type = schema.getType(typeName)
+    if (!type) {
+      throw new Error(`There are resolvers for the unknown type ${typeName}`)
+    }
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      if (fieldName === '__resolveType') {
+        type.resolveType = resolve
+        return
+      }
+      const field = type.getFields()[fieldName]
+      if (!field) {
+        throw new Error(`There is a resolver for the unknown field ${typeName}.${fieldName}`)
+      }
+      field.resolve = (source, args, context, info) => {
+        log(`${typeName}.${fieldName}${formatArgs(args)}`)
+        return resolve(source, args, context, info)
+      }
+    })
+  })
+  return schema
+}
+
+/**
+ * Runs queries in the browser against the schema and resolvers of a post. Posts import them
+ * from the files next to them, `<slug>.graphql` and `<slug>.resolvers.js`:
+ *
+ * ```mdx
+ * import typeDefs from './schema.graphql'
+ * import { resolvers, query } from './resolvers'
+ *
+ * <GraphQLPlayground typeDefs={typeDefs} resolvers={resolvers} query={query} />
+ * ```
+ *
+ * Keep the JSX on one line and import names rather than `* as`, prettier formats posts as
+ * markdown. `context({ log })` creates the context of every run, resolvers can log to the call
+ * log with it. graphql-js is only downloaded when a query is run.
+ *
+ * @param {{
+ *  typeDefs: string,
+ *  resolvers: object,
+ *  context?: (helpers: { log: (message: string) => void }) => object,
+ *  query: string,
+ *  variables?: object,
+ *  title?: string
+ * }} props
+ */
+const GraphQLPlayground = ({
+  typeDefs,
+  resolvers,
+  context,
+  query: initialQuery,
+  variables: initialVariables,
+  title = 'Playground',
+}) => {
+  const [query, setQuery] = useState(initialQuery.trim())
+  const [variables, setVariables] = useState(
+    initialVariables ? JSON.stringify(initialVariables, null, 2) : ''
+  )
+  const [running, setRunning] = useState(false)
+  const [result, setResult] = useState(null)
+
+  const run = async () => {
+    setRunning(true)
+    const calls = []
+    const start = performance.now()
+    const log = (message) => calls.push({ time: Math.round(performance.now() - start), message })
+    try {
+      const graphql = await import('graphql')
+      const schema = makeSchema(graphql, typeDefs, resolvers, log)
+      const response = await graphql.graphql({
+        schema,
+        source: query,
+        variableValues: variables.trim() ? JSON.parse(variables) : undefined,
+        contextValue: context ? context({ log }) : {},
+      })
+      setResult({ response: JSON.stringify(response, null, 2), failed: !!response.errors, calls })
+    } catch (error) {
+      setResult({ response: error.message, failed: true, calls })
+    }
+    setRunning(false)
+  }
+
+  const inputClassName =
+    'block w-full rounded-md border border-gray-300 bg-white px-3 py-2 font-mono text-sm text-gray-900 focus:border-primary-500 focus:ring-primary-500 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-100'
+
+  return (
+    <div className="not-prose my-6 rounded-md border border-gray-200 p-4 dark:border-gray-700 print:hidden">
+      <div className="mb-3 flex items-center justify-between">
+        <span className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+          {title}
+        </span>
+        <button
+          type="button"
+          onClick={run}
+          disabled={running}
+          className="rounded bg-primary-500 px-3 py-1 text-sm font-medium text-white hover:bg-primary-600 disabled:opacity-50 dark:hover:bg-primary-400"
+        >
+          {running ? 'Running…' : 'Run ▶'}
+        </button>
+      </div>
+      <textarea
+        aria-label="Query"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        rows={query.split('\n').length}
+        spellCheck={false}
+        className={inputClassName}
+      />
+      {initialVariables && (
+        <textarea
+          aria-label="Variables"
+          value={variables}
+          onChange={(e) => setVariables(e.target.value)}
+          rows={variables.split('\n').length}
+          spellCheck={false}
+          className={`mt-3 ${inputClassName}`}
+        />
+      )}
+      {result && (
+        <div className="mt-3 grid gap-3 md:grid-cols-2">
+          <div>
+            <h3 className="mb-1 text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+              Response
+            </h3>
+            <pre
+              className={`overflow-x-auto rounded-md bg-gray-800 p-3 text-sm ${
+                result.failed ? 'text-red-300' : 'text-gray-100'
+              }`}
+            >
+              {result.response}
+            </pre>
+          </div>
+          <div>
+            <h3 className="mb-1 text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+              Resolver calls
+            </h3>
+            <ol className="space-y-1 font-mono text-sm text-gray-700 dark:text-gray-300">
+              {result.calls.map(({ time, message }, i) => (
+                <li key={i}>
+                  <span className="text-gray-400">+{time}ms</span> {message}
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GraphQLPlayground
@@ -1,6 +1,92 @@
+import dynamic from 'next/dynamic'
 import NextImage from 'next/image'
+import { useEffect, useRef, useState } from 'react'
 
-// eslint-disable-next-line jsx-a11y/alt-text
-const Image = ({ ...rest }) => <NextImage {...rest} />
+const Lightbox = dynamic(() => import('./Lightbox'))
+
+/**
+ * An image optimized at build time by lib/images.js: AVIF and WebP variants for the browsers
+ * that support them, variants in its own format for the others, and a blurred placeholder
+ * until it loads. Without them, it is a next/image, or a plain `<img>` for remote images,
+ * next/image only optimizes the images of the site.
+ *
+ * With `zoom`, set by lib/remark-img-to-jsx.js for images that are not links, clicking it opens
+ * it in a components/Lightbox.js, with its `caption` or `title`.
+ */
+const Image = (props) => {
+  const {
+    alt,
+    blurDataURL,
+    avifSrcSet,
+    webpSrcSet,
+    srcSet,
+    sizes = '(min-width: 768px) 768px, 100vw',
+    className,
+    zoom,
+    caption,
+    ...rest
+  } = props
+  const image = useRef(null)
+  const [loaded, setLoaded] = useState(false)
+  const [zoomed, setZoomed] = useState(false)
+
+  useEffect(() => {
+    // Cached images can load before hydration, without an onLoad
+    if (image.current?.complete) {
+      setLoaded(true)
+    }
+  }, [])
+
+  if (!blurDataURL && !avifSrcSet && !webpSrcSet) {
+    if (/^https?:\/\//.test(rest.src)) {
+      // eslint-disable-next-line @next/next/no-img-element
+      return <img alt={alt} loading="lazy" decoding="async" className={className} {...rest} />
+    }
+    return <NextImage alt={alt} className={className} {...rest} />
+  }
+
+  const picture = (
+    <picture>
+      {avifSrcSet && <source type="image/avif" srcSet={avifSrcSet} sizes={sizes} />}
+      {webpSrcSet && <source type="image/webp" srcSet={webpSrcSet} sizes={sizes} />}
+      {/* eslint-disable-next-line @next/next/no-img-element */}
+      <img
+        ref={image}
+        alt={alt}
+        loading="lazy"
+        decoding="async"
+        srcSet={srcSet}
+        sizes={srcSet && sizes}
+        onLoad={() => setLoaded(true)}
+        className={className ? `h-auto max-w-full ${className}` : 'h-auto max-w-full'}
+        style={
+          blurDataURL && !loaded
+            ? { backgroundImage: `url(${blurDataURL})`, backgroundSize: 'cover' }
+            : undefined
+        }
+        {...rest}
+      />
+    </picture>
+  )
+
+  if (!zoom) {
+    return picture
+  }
+  return (
+    <>
+      <button
+        type="button"
+        aria-label={alt ? `Zoom image: ${alt}` : 'Zoom image'}
+        className="cursor-zoom-in"
+        onClick={() => setZoomed(true)}
+      >
+        {picture}
+      </button>
+      {zoomed && (
+        <Lightbox images={[props]} index={0} onChange={() => {}} onClose={() => setZoomed(false)} />
+      )}
+    </>
+  )
+}
 
 export default Image
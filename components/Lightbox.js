@@ -0,0 +1,133 @@
+import { forwardRef, useEffect, useRef } from 'react'
+import { createPortal } from 'react-dom'
+import Image from './Image'
+
+// Horizontal distance in pixels for a touch to be a swipe
+const SWIPE_DISTANCE = 50
+
+const Button = forwardRef(({ label, path, className = '', ...rest }, ref) => (
+  <button
+    ref={ref}
+    type="button"
+    aria-label={label}
+    className={`rounded-full p-2 text-gray-300 hover:bg-white/10 hover:text-white ${className}`}
+    {...rest}
+  >
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      aria-hidden="true"
+      className="h-6 w-6"
+    >
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={path} />
+    </svg>
+  </button>
+))
+Button.displayName = 'Button'
+
+/**
+ * Images shown one at a time over the page, for components/Image.js and
+ * components/Gallery.js. Arrow keys and swipes move between the images, Escape closes it.
+ *
+ * @param {{
+ *  images: object[],
+ *  index: number,
+ *  onChange: (index: number) => void,
+ *  onClose: () => void,
+ * }} props images are the props of components/Image.js
+ */
+const Lightbox = ({ images, index, onChange, onClose }) => {
+  const close = useRef(null)
+  const touchStart = useRef(null)
+  const count = images.length
+  const move = (step) => onChange((index + step + count) % count)
+
+  useEffect(() => {
+    const opener = document.activeElement
+    const overflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    close.current.focus()
+    return () => {
+      document.body.style.overflow = overflow
+      opener?.focus()
+    }
+  }, [])
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      } else if (event.key === 'ArrowLeft' && count > 1) {
+        move(-1)
+      } else if (event.key === 'ArrowRight' && count > 1) {
+        move(1)
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  })
+
+  const onTouchEnd = (event) => {
+    const distance = event.changedTouches[0].clientX - touchStart.current
+    if (count > 1 && Math.abs(distance) > SWIPE_DISTANCE) {
+      move(distance > 0 ? -1 : 1)
+    }
+  }
+
+  const { alt, caption, title, ...image } = images[index]
+  return createPortal(
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Image viewer"
+      className="fixed inset-0 z-50 flex flex-col bg-black/90 print:hidden"
+      onTouchStart={(event) => (touchStart.current = event.touches[0].clientX)}
+      onTouchEnd={onTouchEnd}
+    >
+      <div className="flex items-center justify-between p-2 text-sm text-gray-300">
+        <span aria-live="polite">{count > 1 && `${index + 1} / ${count}`}</span>
+        <Button ref={close} label="Close" path="M6 18L18 6M6 6l12 12" onClick={onClose} />
+      </div>
+      <div className="relative flex min-h-0 flex-1 items-center justify-center px-2">
+        {/* Clicking around the image closes it, keyboards have the close button and Escape */}
+        <button
+          type="button"
+          tabIndex={-1}
+          aria-hidden="true"
+          className="absolute inset-0 cursor-zoom-out"
+          onClick={onClose}
+        />
+        {count > 1 && (
+          <Button
+            label="Previous image"
+            path="M15 19l-7-7 7-7"
+            className="absolute left-2 hidden sm:block"
+            onClick={() => move(-1)}
+          />
+        )}
+        <Image
+          key={index}
+          {...image}
+          alt={alt}
+          zoom={false}
+          sizes="100vw"
+          className="relative max-h-[80vh] w-auto object-contain"
+        />
+        {count > 1 && (
+          <Button
+            label="Next image"
+            path="M9 5l7 7-7 7"
+            className="absolute right-2 hidden sm:block"
+            onClick={() => move(1)}
+          />
+        )}
+      </div>
+      <p className="min-h-[3rem] p-3 text-center text-sm text-gray-300">{caption || title}</p>
+    </div>,
+    document.body
+  )
+}
+
+export default Lightbox
@@ -2,18 +2,28 @@
 import { useMemo } from 'react'
 import { getMDXComponent } from 'mdx-bundler/client'
 import Image from './Image'
+import Gallery from './Gallery'
 import CustomLink from './Link'
 import TOCInline from './TOCInline'
 import Pre from './Pre'
 import { BlogNewsletterForm } from './NewsletterForm'
 import YoutubeEmbed from './YoutubeEmbed'
+import GraphQLPlayground from './GraphQLPlayground'
+import Diagram from './Diagram'
+import Callout from './Callout'
+import CodeGroup from './CodeGroup'
 
 export const MDXComponents = {
   Image,
+  Gallery,
   TOCInline,
   a: CustomLink,
   pre: Pre,
   YoutubeEmbed,
+  GraphQLPlayground,
+  Diagram,
+  Callout,
+  CodeGroup,
   BlogNewsletterForm: BlogNewsletterForm,
   wrapper: ({ components, layout, ...rest }) => {
     const Layout = require(`../layouts/${layout}`).default
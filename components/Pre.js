@@ -1,9 +1,71 @@
-import { useState, useRef } from 'react'
+import { Children, isValidElement, useState, useRef } from 'react'
+import dynamic from 'next/dynamic'
+
+// Only posts with runnable code load the runner
+const CodeRunner = dynamic(() => import('./CodeRunner'))
+
+// Blocks longer than this are collapsed unless their meta says `collapse=false`
+const COLLAPSE_LINES = 30
+
+const shellLanguages = ['sh', 'bash', 'shell', 'zsh', 'console', 'shell-session']
+
+/**
+ * The text of a code block as it would be typed: deleted lines and the `+`/`-` markers of
+ * diffs and the prompts of shell sessions are left out. Line numbers are css generated
+ * content, they are never part of the text.
+ *
+ * @param {HTMLElement} container
+ * @param {string} language
+ * @param {boolean} diff
+ */
+const getCopyText = (container, language, diff) => {
+  const lines = [...container.querySelectorAll('.code-line')]
+  if (lines.length === 0) {
+    return container.textContent
+  }
+  return lines
+    .filter((line) => !line.classList.contains('deleted'))
+    .map((line) => {
+      let text = line.textContent
+      if (diff) {
+        text = text.replace(/^[+\- ]/, '')
+      }
+      if (shellLanguages.includes(language)) {
+        text = text.replace(/^[$%>] /, '')
+      }
+      return text
+    })
+    .join('')
+    .replace(/\n+$/, '')
+}
+
+/**
+ * The text of rendered code, for the source of runnable blocks
+ */
+const getText = (node) => {
+  if (typeof node === 'string' || typeof node === 'number') {
+    return String(node)
+  }
+  if (Array.isArray(node)) {
+    return node.map(getText).join('')
+  }
+  return isValidElement(node) ? getText(node.props.children) : ''
+}
 
 const Pre = (props) => {
   const textInput = useRef(null)
   const [hovered, setHovered] = useState(false)
   const [copied, setCopied] = useState(false)
+  const [expanded, setExpanded] = useState(false)
+
+  const code = isValidElement(props.children) ? props.children.props : {}
+  const language = /language-(\S+)/.exec(props.className || '')?.[1]
+  const diff = /language-diff/.test(code.className || '')
+  const lineCount = Children.toArray(code.children).filter(isValidElement).length
+  const collapsible =
+    code['data-collapse'] === 'true' ||
+    (code['data-collapse'] !== 'false' && lineCount > COLLAPSE_LINES)
+  const collapsed = collapsible && !expanded
 
   const onEnter = () => {
     setHovered(true)
@@ -14,14 +76,19 @@ const Pre = (props) => {
   }
   const onCopy = () => {
     setCopied(true)
-    navigator.clipboard.writeText(textInput.current.textContent)
+    navigator.clipboard.writeText(getCopyText(textInput.current, language, diff))
     setTimeout(() => {
       setCopied(false)
     }, 2000)
   }
 
-  return (
+  const block = (
     <div ref={textInput} onMouseEnter={onEnter} onMouseLeave={onExit} className="relative">
+      {language && !hovered && (
+        <span className="pointer-events-none absolute right-2 top-2 z-10 rounded bg-gray-700 px-2 py-0.5 font-mono text-xs uppercase text-gray-300">
+          {language}
+        </span>
+      )}
       {hovered && (
         <button
           aria-label="Copy code"
@@ -63,9 +130,47 @@ const Pre = (props) => {
         </button>
       )}
 
-      <pre>{props.children}</pre>
+      <pre
+        className={[
+          props.className,
+          collapsible && 'pb-14 print:pb-4',
+          collapsed && 'print:max-h-none max-h-96 overflow-hidden',
+        ]
+          .filter(Boolean)
+          .join(' ')}
+      >
+        {props.children}
+      </pre>
+      {collapsible && (
+        <div
+          className={`absolute inset-x-0 bottom-0 flex justify-center rounded-b pb-3 pt-10 print:hidden ${
+            collapsed ? 'bg-gradient-to-t from-gray-800' : ''
+          }`}
+        >
+          <button
+            type="button"
+            aria-expanded={expanded}
+            onClick={() => setExpanded(!expanded)}
+            className="rounded bg-gray-700 px-3 py-1 text-sm text-gray-200 hover:bg-gray-600"
+          >
+            {expanded ? 'Collapse' : `Show all ${lineCount} lines`}
+          </button>
+        </div>
+      )}
     </div>
   )
+
+  if (code['data-run'] !== 'true') {
+    return block
+  }
+  return (
+    <CodeRunner
+      source={getText(code.children).replace(/\n$/, '')}
+      modules={JSON.parse(code['data-modules'])}
+    >
+      {block}
+    </CodeRunner>
+  )
 }
 
 export default Pre
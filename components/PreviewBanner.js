@@ -0,0 +1,18 @@
+import Link from './Link'
+
+const PreviewBanner = ({ slug, draft }) => (
+  <div
+    role="status"
+    className="sticky top-0 z-20 mb-6 flex items-center justify-between rounded-md bg-yellow-100 px-4 py-2 text-sm font-medium text-yellow-900 dark:bg-yellow-900 dark:text-yellow-100 print:hidden"
+  >
+    <span>
+      Preview - this {draft ? 'draft' : 'scheduled post'} is not published yet, do not share this
+      page.
+    </span>
+    <Link href={`/api/exit-preview?slug=${encodeURIComponent(slug)}`} className="underline">
+      Exit preview
+    </Link>
+  </div>
+)
+
+export default PreviewBanner
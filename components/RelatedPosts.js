@@ -0,0 +1,31 @@
+import Link from './Link'
+import formatDate from '@/lib/utils/formatDate'
+
+const RelatedPosts = ({ posts }) => (
+  <section className="py-8 print:hidden" aria-labelledby="related-reading">
+    <h2
+      id="related-reading"
+      className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400"
+    >
+      Related reading
+    </h2>
+    <ul className="mt-4 grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+      {posts.map(({ slug, title, date, summary }) => (
+        <li key={slug}>
+          <Link
+            href={`/${slug}`}
+            className="text-base font-semibold text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+          >
+            {title}
+          </Link>
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            <time dateTime={date}>{formatDate(date)}</time>
+          </div>
+          {summary && <p className="mt-2 text-sm text-gray-700 dark:text-gray-300">{summary}</p>}
+        </li>
+      ))}
+    </ul>
+  </section>
+)
+
+export default RelatedPosts
@@ -1,15 +1,42 @@
 import Head from 'next/head'
 import { useRouter } from 'next/router'
 import siteMetadata from '@/data/siteMetadata'
+import { getCanonicalUrl, getCrossPosts } from '@/lib/canonical'
+import { getPerson, getPostBreadcrumbs, getVideoObject } from '@/lib/structured-data'
 
-const CommonSEO = ({ title, description, ogType, ogImage, twImage }) => {
+/**
+ * JSON-LD, built with lib/structured-data.js. Called as a function inside a `Head`, which only
+ * picks up its direct children on client side navigations.
+ *
+ * @param {{ data: object[] }} props
+ */
+const StructuredData = ({ data }) =>
+  data.map((item, i) => (
+    <script
+      key={`structured-data-${i}`}
+      type="application/ld+json"
+      dangerouslySetInnerHTML={{
+        __html: JSON.stringify(item, null, 2),
+      }}
+    />
+  ))
+
+const CommonSEO = ({
+  title,
+  description,
+  ogType,
+  ogImage,
+  twImage,
+  canonicalUrl,
+  structuredData = [],
+}) => {
   const router = useRouter()
   return (
     <Head>
       <title>{title}</title>
       <meta name="robots" content="follow, index" />
       <meta name="description" content={description} />
-      <meta property="og:url" content={`${siteMetadata.siteUrl}${router.asPath}`} />
+      <meta property="og:url" content={canonicalUrl || `${siteMetadata.siteUrl}${router.asPath}`} />
       <meta property="og:type" content={ogType} />
       <meta property="og:site_name" content={siteMetadata.title} />
       <meta property="og:description" content={description} />
@@ -24,11 +51,50 @@ const CommonSEO = ({ title, description, ogType, ogImage, twImage }) => {
       <meta name="twitter:title" content={title} />
       <meta name="twitter:description" content={description} />
       <meta name="twitter:image" content={twImage} />
+      {canonicalUrl && <link rel="canonical" href={canonicalUrl} />}
+      {StructuredData({ data: structuredData })}
     </Head>
   )
 }
 
-export const PageSEO = ({ title, description }) => {
+/**
+ * The RSS, Atom and JSON feeds of a listing, written by scripts/generate-feeds.js
+ *
+ * @param {{ base: string, title: string }} props base is the url of the listing, without a
+ *  trailing slash
+ */
+export const FeedLinks = ({ base, title }) => (
+  <>
+    <link
+      rel="alternate"
+      type="application/rss+xml"
+      title={`${title} - RSS feed`}
+      href={`${base}/feed.xml`}
+    />
+    <link
+      rel="alternate"
+      type="application/atom+xml"
+      title={`${title} - Atom feed`}
+      href={`${base}/atom.xml`}
+    />
+    <link
+      rel="alternate"
+      type="application/feed+json"
+      title={`${title} - JSON feed`}
+      href={`${base}/feed.json`}
+    />
+  </>
+)
+
+/**
+ * @param {{
+ *  title: string,
+ *  description: string,
+ *  canonicalUrl?: string,
+ *  structuredData?: object[],
+ * }} props canonicalUrl for pages that have the content of another page
+ */
+export const PageSEO = ({ title, description, canonicalUrl, structuredData }) => {
   const ogImageUrl = siteMetadata.siteUrl + siteMetadata.socialBanner
   const twImageUrl = siteMetadata.siteUrl + siteMetadata.socialBanner
   return (
@@ -38,11 +104,16 @@ export const PageSEO = ({ title, description }) => {
       ogType="website"
       ogImage={ogImageUrl}
       twImage={twImageUrl}
+      canonicalUrl={canonicalUrl}
+      structuredData={structuredData}
     />
   )
 }
 
-export const TagSEO = ({ title, description }) => {
+/**
+ * @param {{ title: string, description: string, structuredData?: object[] }} props
+ */
+export const TagSEO = ({ title, description, structuredData }) => {
   const ogImageUrl = siteMetadata.siteUrl + siteMetadata.socialBanner
   const twImageUrl = siteMetadata.siteUrl + siteMetadata.socialBanner
   const router = useRouter()
@@ -54,21 +125,36 @@ export const TagSEO = ({ title, description }) => {
         ogType="website"
         ogImage={ogImageUrl}
         twImage={twImageUrl}
+        structuredData={structuredData}
       />
       <Head>
-        <link
-          rel="alternate"
-          type="application/rss+xml"
-          title={`${description} - RSS feed`}
-          href={`${siteMetadata.siteUrl}${router.asPath}/feed.xml`}
-        />
+        {FeedLinks({ base: `${siteMetadata.siteUrl}${router.asPath}`, title: description })}
       </Head>
     </>
   )
 }
 
-export const BlogSEO = ({ authorDetails, title, summary, date, lastmod, url, images = [] }) => {
-  const router = useRouter()
+export const BlogSEO = ({
+  authorDetails,
+  seriesDetails,
+  title,
+  summary,
+  date,
+  lastmod,
+  url,
+  images = [],
+  slug,
+  tags,
+  canonicalUrl,
+  crossPosted,
+  videos = [],
+}) => {
+  const canonical = getCanonicalUrl({ slug, canonicalUrl })
+  // Every other url the post is published at
+  const sameAs = [
+    ...(canonical === url ? [] : [url]),
+    ...getCrossPosts({ canonicalUrl, crossPosted }).map((publication) => publication.url),
+  ]
   const publishedAt = new Date(date).toISOString()
   const modifiedAt = new Date(lastmod || date).toISOString()
   let imagesArr =
@@ -87,12 +173,7 @@ export const BlogSEO = ({ authorDetails, title, summary, date, lastmod, url, ima
 
   let authorList
   if (authorDetails) {
-    authorList = authorDetails.map((author) => {
-      return {
-        '@type': 'Person',
-        name: author.name,
-      }
-    })
+    authorList = authorDetails.map((author) => getPerson(author))
   } else {
     authorList = {
       '@type': 'Person',
@@ -105,8 +186,10 @@ export const BlogSEO = ({ authorDetails, title, summary, date, lastmod, url, ima
     '@type': 'Article',
     mainEntityOfPage: {
       '@type': 'WebPage',
-      '@id': url,
+      '@id': canonical,
     },
+    url: canonical,
+    ...(sameAs.length > 0 && { sameAs }),
     headline: title,
     image: featuredImages,
     datePublished: publishedAt,
@@ -123,6 +206,15 @@ export const BlogSEO = ({ authorDetails, title, summary, date, lastmod, url, ima
     description: summary,
   }
 
+  if (seriesDetails) {
+    structuredData.isPartOf = {
+      '@type': 'CreativeWorkSeries',
+      name: seriesDetails.name,
+      url: `${siteMetadata.siteUrl}/series/${seriesDetails.slug}`,
+    }
+    structuredData.position = seriesDetails.current + 1
+  }
+
   const twImageUrl = featuredImages[0].url
 
   return (
@@ -133,17 +225,18 @@ export const BlogSEO = ({ authorDetails, title, summary, date, lastmod, url, ima
         ogType="article"
         ogImage={featuredImages}
         twImage={twImageUrl}
+        canonicalUrl={canonical}
       />
       <Head>
         {date && <meta property="article:published_time" content={publishedAt} />}
         {lastmod && <meta property="article:modified_time" content={modifiedAt} />}
-        <link rel="canonical" href={`${siteMetadata.siteUrl}${router.asPath}`} />
-        <script
-          type="application/ld+json"
-          dangerouslySetInnerHTML={{
-            __html: JSON.stringify(structuredData, null, 2),
-          }}
-        />
+        {StructuredData({
+          data: [
+            structuredData,
+            getPostBreadcrumbs({ title, tags }, seriesDetails, url),
+            ...videos.map((video) => getVideoObject(video, { title, summary, date: publishedAt })),
+          ],
+        })}
       </Head>
     </>
   )
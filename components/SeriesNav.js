@@ -0,0 +1,71 @@
+import Link from '@/components/Link'
+
+/**
+ * "Part N of M" navigation for posts that belong to a series
+ *
+ * @param {{ seriesDetails: { slug: string, name: string, posts: { slug: string, title: string }[], current: number } }} props
+ */
+const SeriesNav = ({ seriesDetails }) => {
+  const { slug, name, posts, current } = seriesDetails
+  const prev = posts[current - 1]
+  const next = posts[current + 1]
+
+  return (
+    <nav
+      aria-label={`${name} series`}
+      className="not-prose my-8 rounded-md border-2 border-gray-200 border-opacity-60 p-6 dark:border-gray-700"
+    >
+      <h2 className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+        Part {current + 1} of {posts.length} in{' '}
+        <Link
+          href={`/series/${slug}`}
+          className="text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+        >
+          {name}
+        </Link>
+      </h2>
+      <ol className="mt-3 list-decimal space-y-1 pl-5 text-sm">
+        {posts.map((post, index) => (
+          <li key={post.slug}>
+            {index === current ? (
+              <span className="font-semibold text-gray-900 dark:text-gray-100">{post.title}</span>
+            ) : (
+              <Link
+                href={`/${post.slug}`}
+                className="text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+              >
+                {post.title}
+              </Link>
+            )}
+          </li>
+        ))}
+      </ol>
+      {(prev || next) && (
+        <div className="mt-4 flex justify-between text-sm font-medium">
+          <div>
+            {prev && (
+              <Link
+                href={`/${prev.slug}`}
+                className="text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+              >
+                &larr; Part {current}
+              </Link>
+            )}
+          </div>
+          <div>
+            {next && (
+              <Link
+                href={`/${next.slug}`}
+                className="text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+              >
+                Part {current + 2} &rarr;
+              </Link>
+            )}
+          </div>
+        </div>
+      )}
+    </nav>
+  )
+}
+
+export default SeriesNav
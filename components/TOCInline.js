@@ -1,12 +1,23 @@
 /**
- * @typedef TocHeading
- * @prop {string} value
- * @prop {number} depth
- * @prop {string} url
+ * @typedef {import('@/lib/remark-toc-headings.mjs').TocHeading} TocHeading
  */
 
 /**
- * Generates an inline table of contents
+ * Removes the headings that do not match, their children take their place
+ *
+ * @param {TocHeading[]} toc
+ * @param {(heading: TocHeading) => boolean} predicate
+ * @returns {TocHeading[]}
+ */
+export const filterToc = (toc, predicate) =>
+  toc.flatMap((heading) => {
+    const children = filterToc(heading.children, predicate)
+    return predicate(heading) ? [{ ...heading, children }] : children
+  })
+
+/**
+ * Generates an inline table of contents, nested the way the headings are from indentDepth on,
+ * shallower headings are listed at the level of their parent
  * Exclude titles matching this string (new RegExp('^(' + string + ')$', 'i')).
  * If an array is passed the array gets joined with a pipe (new RegExp('^(' + array.join('|') + ')$', 'i')).
  *
@@ -32,20 +43,25 @@ const TOCInline = ({
     ? new RegExp('^(' + exclude.join('|') + ')$', 'i')
     : new RegExp('^(' + exclude + ')$', 'i')
 
-  const filteredToc = toc.filter(
+  const filteredToc = filterToc(
+    toc,
     (heading) =>
       heading.depth >= fromHeading && heading.depth <= toHeading && !re.test(heading.value)
   )
 
-  const tocList = (
-    <ul>
-      {filteredToc.map((heading) => (
-        <li key={heading.value} className={`${heading.depth >= indentDepth && 'ml-6'}`}>
+  const renderItems = (headings) =>
+    headings.flatMap((heading) => {
+      const nested = heading.children.filter((child) => child.depth >= indentDepth)
+      const siblings = heading.children.filter((child) => child.depth < indentDepth)
+      return [
+        <li key={heading.url}>
           <a href={heading.url}>{heading.value}</a>
-        </li>
-      ))}
-    </ul>
-  )
+          {nested.length > 0 && <ul>{renderItems(nested)}</ul>}
+        </li>,
+        ...renderItems(siblings),
+      ]
+    })
+  const tocList = <ul>{renderItems(filteredToc)}</ul>
 
   return (
     <>
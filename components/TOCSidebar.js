@@ -0,0 +1,84 @@
+import { useEffect, useMemo, useState } from 'react'
+import { filterToc } from './TOCInline'
+
+// Headings this close to the top of the window count as the current section
+const OFFSET = 100
+
+const flatten = (toc) => toc.flatMap((heading) => [heading, ...flatten(heading.children)])
+
+/**
+ * Sticky table of contents next to the post on wide screens that highlights the section
+ * being read
+ *
+ * @param {{ toc: import('@/lib/remark-toc-headings.mjs').TocHeading[], toHeading?: number }} props
+ */
+const TOCSidebar = ({ toc, toHeading = 3 }) => {
+  const headings = useMemo(
+    () => filterToc(toc, (heading) => heading.depth <= toHeading),
+    [toc, toHeading]
+  )
+  const [active, setActive] = useState(null)
+
+  useEffect(() => {
+    const elements = flatten(headings)
+      .map((heading) => document.getElementById(heading.url.slice(1)))
+      .filter(Boolean)
+
+    let frame = null
+    const handleWindowScroll = () => {
+      cancelAnimationFrame(frame)
+      frame = requestAnimationFrame(() => {
+        const current = elements.filter((el) => el.getBoundingClientRect().top <= OFFSET).pop()
+        setActive(current ? `#${current.id}` : null)
+      })
+    }
+
+    handleWindowScroll()
+    window.addEventListener('scroll', handleWindowScroll, { passive: true })
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('scroll', handleWindowScroll)
+    }
+  }, [headings])
+
+  const renderList = (items) => (
+    <ul className="space-y-2">
+      {items.map((heading) => (
+        <li key={heading.url}>
+          <a
+            href={heading.url}
+            aria-current={active === heading.url ? 'location' : undefined}
+            className={
+              active === heading.url
+                ? 'font-medium text-primary-500 dark:text-primary-400'
+                : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+            }
+          >
+            {heading.value}
+          </a>
+          {heading.children.length > 0 && (
+            <div className="mt-2 ml-4">{renderList(heading.children)}</div>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+
+  if (headings.length === 0) {
+    return null
+  }
+
+  return (
+    <nav
+      aria-label="Table of contents"
+      className="sticky top-8 hidden max-h-[calc(100vh-4rem)] w-56 shrink-0 overflow-y-auto pt-10 text-sm print:hidden xl:block"
+    >
+      <h2 className="mb-3 text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+        On this page
+      </h2>
+      {renderList(headings)}
+    </nav>
+  )
+}
+
+export default TOCSidebar
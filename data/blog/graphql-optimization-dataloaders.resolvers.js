@@ -0,0 +1,86 @@
+// Resolvers of the playgrounds in graphql-optimization-dataloaders.md. The product backend is
+// simulated in the browser and logs every request made to it.
+
+const products = {
+  foo: { id: 'foo', name: 'Foo sneakers', price: { currency: 'EUR', amount: 79.95 } },
+  bar: { id: 'bar', name: 'Bar jacket', price: { currency: 'EUR', amount: 129 } },
+  baz: { id: 'baz', name: 'Baz scarf', price: { currency: 'EUR', amount: 24.5 } },
+}
+
+const createBackend = (log) => ({
+  async getProductsByIds(ids) {
+    log(`GET /products?ids=${ids.join(',')}`)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    return ids.map((id) => products[id] || null)
+  },
+})
+
+/**
+ * A tiny Dataloader: the keys of all `load` calls made before the next tick are passed to
+ * `batch` in a single call
+ */
+const createLoader = (batch) => {
+  let queue = []
+  const dispatch = async () => {
+    const current = queue
+    queue = []
+    try {
+      const values = await batch(current.map(({ key }) => key))
+      current.forEach(({ resolve }, i) => resolve(values[i]))
+    } catch (error) {
+      current.forEach(({ reject }) => reject(error))
+    }
+  }
+  return {
+    load: (key) =>
+      new Promise((resolve, reject) => {
+        if (queue.length === 0) {
+          setTimeout(dispatch)
+        }
+        queue.push({ key, resolve, reject })
+      }),
+  }
+}
+
+export const query = `query {
+  foo: product(id: "foo") {
+    name
+  }
+  bar: product(id: "bar") {
+    name
+    price
+  }
+}`
+
+const Product = {
+  id: (product) => product.id,
+  name: (product) => product.name,
+  price: ({ price }) => `${price.amount.toFixed(2)} ${price.currency}`,
+}
+
+// One request per product
+export const naive = {
+  Query: {
+    product: async (_, { id }, { backend }) => {
+      const [product] = await backend.getProductsByIds([id])
+      return product
+    },
+  },
+  Product,
+}
+
+// All products of a query in a single request
+export const batched = {
+  Query: {
+    product: (_, { id }, { productLoader }) => productLoader.load(id),
+  },
+  Product,
+}
+
+export const context = ({ log }) => {
+  const backend = createBackend(log)
+  return {
+    backend,
+    productLoader: createLoader((ids) => backend.getProductsByIds(ids)),
+  }
+}
@@ -19,6 +19,26 @@ const siteMetadata = {
     googleAnalyticsId: 'G-BNY4D028GG', // e.g. UA-000000-2 or G-XXXXXXX
   },
   newsletter: {},
+  relatedPosts: {
+    // Number of posts in the "Related reading" block of a post, 0 hides it
+    count: 3,
+    // Scores are weights.tags * tag overlap + weights.series * same series +
+    // weights.content * text similarity, each of them between 0 and 1
+    weights: {
+      tags: 1,
+      series: 0.5,
+      content: 2,
+    },
+  },
+  feeds: {
+    // Put the whole post in the feeds, rendered after the build, instead of only its summary
+    fullContent: true,
+  },
+  internalLinks: {
+    // Rewrite links like https://boopathi.blog/some-post to /some-post so that they are
+    // navigated client side. Dead internal links are reported either way.
+    rewriteAbsoluteUrls: true,
+  },
   comment: {
     // Select a provider and use the environment variables associated to it
     // https://vercel.com/docs/environment-variables
@@ -1,13 +1,23 @@
 import SocialIcon from '@/components/social-icons'
 import Image from 'next/image'
 import { PageSEO } from '@/components/SEO'
+import siteMetadata from '@/data/siteMetadata'
+import { getListingBreadcrumbs, getProfilePage } from '@/lib/structured-data'
 
 export default function AuthorLayout({ children, frontMatter }) {
   const { name, avatar, occupation, company, email, twitter, linkedin, github } = frontMatter
+  const url = `${siteMetadata.siteUrl}/about`
 
   return (
     <>
-      <PageSEO title={`About - ${name}`} description={`About me - ${name}`} />
+      <PageSEO
+        title={`About - ${name}`}
+        description={`About me - ${name}`}
+        structuredData={[
+          getProfilePage(frontMatter, url),
+          getListingBreadcrumbs([{ name: 'About', url }]),
+        ]}
+      />
       <div className="divide-y">
         <div className="space-y-2 pt-6 pb-8 md:space-y-5">
           <h1 className="text-3xl font-extrabold leading-9 tracking-tight text-gray-900 dark:text-gray-100 sm:text-4xl sm:leading-10 md:text-6xl md:leading-14">
@@ -52,6 +52,14 @@ export default function ListLayout({
                   d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
                 />
               </svg>
+              {searchValue && (
+                <Link
+                  href={`/search?q=${encodeURIComponent(searchValue)}`}
+                  className="mt-2 block text-sm text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+                >
+                  Search the full text of all posts &rarr;
+                </Link>
+              )}
             </div>
           </div>
           {description ? (
@@ -7,6 +7,10 @@ import Tag from '@/components/Tag'
 import siteMetadata from '@/data/siteMetadata'
 import Comments from '@/components/comments'
 import ScrollTopAndComment from '@/components/ScrollTopAndComment'
+import SeriesNav from '@/components/SeriesNav'
+import CrossPostBanner from '@/components/CrossPostBanner'
+import RelatedPosts from '@/components/RelatedPosts'
+import TOCSidebar from '@/components/TOCSidebar'
 import React from 'react'
 
 const editUrl = (fileName) => `${siteMetadata.siteRepo}/blob/master/data/blog/${fileName}`
@@ -15,7 +19,17 @@ const discussUrl = (slug) =>
 
 const postDateTemplate = { year: 'numeric', month: 'long', day: 'numeric' }
 
-export default function PostLayout({ frontMatter, authorDetails, next, prev, children }) {
+export default function PostLayout({
+  frontMatter,
+  authorDetails,
+  seriesDetails,
+  related = [],
+  toc = [],
+  videos = [],
+  next,
+  prev,
+  children,
+}) {
   const { slug, fileName, date, title, tags } = frontMatter
 
   return (
@@ -23,6 +37,8 @@ export default function PostLayout({ frontMatter, authorDetails, next, prev, chi
       <BlogSEO
         url={`${siteMetadata.siteUrl}/${slug}`}
         authorDetails={authorDetails}
+        seriesDetails={seriesDetails}
+        videos={videos}
         {...frontMatter}
       />
       <ScrollTopAndComment />
@@ -113,8 +129,13 @@ export default function PostLayout({ frontMatter, authorDetails, next, prev, chi
               id="post-content"
               className="divide-y divide-gray-200 dark:divide-gray-700 xl:col-span-3 xl:row-span-2 xl:pb-0"
             >
-              <div className="prose m-auto max-w-none max-w-3xl pt-10 pb-8 dark:prose-dark">
-                {children}
+              <div className={frontMatter.toc ? 'xl:flex xl:items-start xl:gap-10' : undefined}>
+                <div className="prose m-auto max-w-none max-w-3xl pt-10 pb-8 dark:prose-dark">
+                  <CrossPostBanner frontMatter={frontMatter} />
+                  {seriesDetails && <SeriesNav seriesDetails={seriesDetails} />}
+                  {children}
+                </div>
+                {frontMatter.toc && <TOCSidebar toc={toc} />}
               </div>
               <div className="pt-6 pb-6 text-sm text-gray-700 dark:text-gray-300 print:hidden">
                 <Link href={discussUrl(slug)} rel="nofollow">
@@ -123,6 +144,7 @@ export default function PostLayout({ frontMatter, authorDetails, next, prev, chi
                 {` • `}
                 <Link href={editUrl(fileName)}>{'View on GitHub'}</Link>
               </div>
+              {related.length > 0 && <RelatedPosts posts={related} />}
               <Comments frontMatter={frontMatter} />
             </div>
             <footer>
@@ -6,13 +6,30 @@ import siteMetadata from '@/data/siteMetadata'
 import formatDate from '@/lib/utils/formatDate'
 import Comments from '@/components/comments'
 import ScrollTopAndComment from '@/components/ScrollTopAndComment'
+import SeriesNav from '@/components/SeriesNav'
+import CrossPostBanner from '@/components/CrossPostBanner'
+import RelatedPosts from '@/components/RelatedPosts'
 
-export default function PostLayout({ frontMatter, authorDetails, next, prev, children }) {
+export default function PostLayout({
+  frontMatter,
+  authorDetails,
+  seriesDetails,
+  related = [],
+  videos = [],
+  next,
+  prev,
+  children,
+}) {
   const { date, title } = frontMatter
 
   return (
     <SectionContainer>
-      <BlogSEO url={`${siteMetadata.siteUrl}/${frontMatter.slug}`} {...frontMatter} />
+      <BlogSEO
+        url={`${siteMetadata.siteUrl}/${frontMatter.slug}`}
+        seriesDetails={seriesDetails}
+        videos={videos}
+        {...frontMatter}
+      />
       <ScrollTopAndComment />
       <article>
         <div>
@@ -36,7 +53,12 @@ export default function PostLayout({ frontMatter, authorDetails, next, prev, chi
             style={{ gridTemplateRows: 'auto 1fr' }}
           >
             <div className="divide-y divide-gray-200 dark:divide-gray-700 xl:col-span-3 xl:row-span-2 xl:pb-0">
-              <div className="prose max-w-none pt-10 pb-8 dark:prose-dark">{children}</div>
+              <div className="prose max-w-none pt-10 pb-8 dark:prose-dark">
+                <CrossPostBanner frontMatter={frontMatter} />
+                {seriesDetails && <SeriesNav seriesDetails={seriesDetails} />}
+                {children}
+              </div>
+              {related.length > 0 && <RelatedPosts posts={related} />}
             </div>
             <Comments frontMatter={frontMatter} />
             <footer>
@@ -0,0 +1,61 @@
+import Link from '@/components/Link'
+import Tag from '@/components/Tag'
+import formatDate from '@/lib/utils/formatDate'
+
+export default function SeriesLayout({ series }) {
+  const { name, posts } = series
+
+  return (
+    <div className="divide-y">
+      <div className="space-y-2 pt-6 pb-8 md:space-y-5">
+        <h1 className="text-3xl font-extrabold leading-9 tracking-tight text-gray-900 dark:text-gray-100 sm:text-4xl sm:leading-10 md:text-6xl md:leading-14">
+          {name}
+        </h1>
+        <p className="text-lg leading-7 text-gray-500 dark:text-gray-400">
+          A series in {posts.length} parts
+        </p>
+      </div>
+      <ol className="divide-y divide-gray-200 dark:divide-gray-700">
+        {posts.map((frontMatter, index) => {
+          const { slug, date, title, summary, tags } = frontMatter
+          return (
+            <li key={slug} className="py-12">
+              <article>
+                <div className="space-y-2 xl:grid xl:grid-cols-4 xl:items-baseline xl:space-y-0">
+                  <dl className="flex gap-x-3 xl:flex-col">
+                    <dt className="sr-only">Part</dt>
+                    <dd className="text-base font-semibold uppercase leading-6 text-primary-500">
+                      Part {index + 1}
+                    </dd>
+                    <span className="xl:hidden">{'·'}</span>
+                    <dt className="sr-only">Published on</dt>
+                    <dd className="text-base font-medium leading-6 text-gray-500 dark:text-gray-400">
+                      <time dateTime={date}>{formatDate(date)}</time>
+                    </dd>
+                  </dl>
+                  <div className="space-y-5 xl:col-span-3">
+                    <div>
+                      <h2 className="text-2xl font-bold leading-8 tracking-tight">
+                        <Link href={`/${slug}`} className="text-gray-900 dark:text-gray-100">
+                          {title}
+                        </Link>
+                      </h2>
+                      <div className="my-3 flex flex-wrap gap-3">
+                        {tags.map((tag) => (
+                          <Tag key={tag} text={tag} />
+                        ))}
+                      </div>
+                    </div>
+                    <div className="prose max-w-none text-gray-500 dark:text-gray-400">
+                      {summary}
+                    </div>
+                  </div>
+                </div>
+              </article>
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,48 @@
+// CommonJS so that the feeds and the sitemap in scripts/ share it with the pages. It has no
+// node dependencies, components/SEO.js and the post layouts use it in the browser too.
+const siteMetadata = require('../data/siteMetadata')
+
+/**
+ * @typedef Publication
+ * @prop {string} name
+ * @prop {string} url
+ */
+
+const isOnSite = (url) => new URL(url, siteMetadata.siteUrl).origin === siteMetadata.siteUrl
+
+/**
+ * @param {object} frontMatter of a post, with its slug
+ * @returns {string} the `canonicalUrl` of the post, or its url on this site
+ */
+const getCanonicalUrl = (frontMatter) =>
+  frontMatter.canonicalUrl || `${siteMetadata.siteUrl}/${frontMatter.slug}`
+
+/**
+ * @param {object} frontMatter of a post
+ * @returns {Publication|null} where the post was first published, when it is another site.
+ *  It is named after its entry in `crossPosted`, or its host name.
+ */
+const getOriginalPublication = (frontMatter) => {
+  const { canonicalUrl, crossPosted = [] } = frontMatter
+  if (!canonicalUrl || isOnSite(canonicalUrl)) {
+    return null
+  }
+  const publication = crossPosted.find(({ url }) => url === canonicalUrl)
+  return {
+    name: publication ? publication.name : new URL(canonicalUrl).hostname,
+    url: canonicalUrl,
+  }
+}
+
+/**
+ * @param {object} frontMatter of a post
+ * @returns {Publication[]} the other sites the post is published on, the original excluded
+ */
+const getCrossPosts = (frontMatter) =>
+  (frontMatter.crossPosted || []).filter(({ url }) => url !== frontMatter.canonicalUrl)
+
+module.exports = {
+  getCanonicalUrl,
+  getOriginalPublication,
+  getCrossPosts,
+}
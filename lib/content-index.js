@@ -0,0 +1,258 @@
+// CommonJS so that the node scripts in scripts/ can share it with the next.js pages
+const fs = require('fs')
+const path = require('path')
+const matter = require('gray-matter')
+const readingTime = require('reading-time')
+const getAllFilesRecursively = require('./utils/files')
+const kebabCase = require('./utils/kebabCase')
+const { validateFrontMatter, reportFrontMatterProblems } = require('./frontmatter-schema')
+
+const root = process.cwd()
+
+const artifactDir = path.join(root, '.next', 'cache', 'content-index')
+
+// Bumped whenever the shape of the artifact changes, artifacts of another version are rebuilt
+const artifactVersion = 2
+
+const readingTimeOptions = {
+  wordsPerMinute: 135,
+}
+
+/**
+ * @typedef ContentEntry
+ * @prop {string} slug file path relative to data/<type> without the extension
+ * @prop {string} fileName file path relative to data/<type>
+ * @prop {string} filePath absolute file path
+ * @prop {object} frontMatter frontmatter as written, plus slug, readingTime and normalized dates
+ * @prop {string[]} tags kebab-cased tags
+ * @prop {string|null} date ISO date
+ * @prop {string|null} lastmod ISO date
+ * @prop {boolean} draft
+ * @prop {string|null} publishAt ISO date after which the post is listed, `publishAt` or `date`
+ * @prop {string|null} series kebab-cased series name
+ * @prop {number|null} seriesOrder position of the post in its series
+ * @prop {{ text: string, minutes: number, time: number, words: number }} readingTime
+ * @prop {string[]} problems frontmatter schema violations, reported whenever the index is
+ *  loaded so that an artifact written by `next dev` still fails the production build
+ */
+
+/**
+ * @typedef ContentIndex
+ * @prop {number} version see artifactVersion
+ * @prop {string} type content folder inside data/
+ * @prop {string} signature changes whenever a file in the folder is added, removed or modified
+ * @prop {ContentEntry[]} entries sorted by date, newest first
+ * @prop {Object<string, number>} tags published post count for each kebab-cased tag
+ * @prop {Object<string, SeriesEntry>} series published series by kebab-cased name
+ * @prop {string|null} nextPublishAt ISO date of the next scheduled post, `tags` and `series`
+ *  are recomputed once it has passed
+ */
+
+/**
+ * @typedef SeriesEntry
+ * @prop {string} slug kebab-cased series name
+ * @prop {string} name series name as written in the frontmatter
+ * @prop {string[]} posts post slugs ordered by seriesOrder
+ */
+
+/** @type {Object<string, ContentIndex>} */
+const memo = {}
+
+// Invalid dates are reported by the frontmatter schema, they should not crash the dev server
+const toISODate = (date) => {
+  const parsed = new Date(date)
+  return date && !isNaN(parsed.getTime()) ? parsed.toISOString() : null
+}
+
+/**
+ * gray-matter parses YAML dates into Dates, which the props of next.js pages cannot hold
+ *
+ * @param {object} data frontmatter as parsed
+ * @returns {object} its dates as ISO strings, `date` is null when it is missing or invalid
+ */
+const normalizeDates = (data) => ({
+  date: toISODate(data.date),
+  ...(data.lastmod && { lastmod: toISODate(data.lastmod) }),
+  ...(data.publishAt && { publishAt: toISODate(data.publishAt) }),
+})
+
+const dateSortDesc = (a, b) => {
+  if (a > b) return -1
+  if (a < b) return 1
+  return 0
+}
+
+const formatSlug = (slug) => slug.replace(/\.(mdx|md)/, '')
+
+const getSourceFiles = (type) => {
+  const prefixPath = path.join(root, 'data', type)
+  return getAllFilesRecursively(prefixPath)
+    .filter((file) => ['.md', '.mdx'].includes(path.extname(file)))
+    .map((filePath) => ({
+      filePath,
+      // Only want blog/path and ignore root, replace is needed to work on Windows
+      fileName: filePath.slice(prefixPath.length + 1).replace(/\\/g, '/'),
+    }))
+    .sort((a, b) => a.fileName.localeCompare(b.fileName))
+}
+
+const getSignature = (files) =>
+  files
+    .map(({ filePath, fileName }) => {
+      const { mtimeMs, size } = fs.statSync(filePath)
+      return `${fileName}:${mtimeMs}:${size}`
+    })
+    .join('|')
+
+/**
+ * @returns {ContentEntry}
+ */
+const parseFile = (type, { filePath, fileName }) => {
+  const source = fs.readFileSync(filePath, 'utf8')
+  const { data, content } = matter(source)
+  const slug = formatSlug(fileName)
+  const stats = readingTime(content, readingTimeOptions)
+  const date = toISODate(data.date)
+  const lastmod = toISODate(data.lastmod)
+  const publishAt = toISODate(data.publishAt)
+
+  return {
+    slug,
+    fileName,
+    filePath,
+    frontMatter: {
+      ...data,
+      readingTime: stats,
+      slug,
+      ...normalizeDates(data),
+    },
+    tags: (Array.isArray(data.tags) ? data.tags : []).map(kebabCase),
+    date,
+    lastmod,
+    draft: data.draft === true,
+    publishAt: publishAt || date,
+    series: data.series ? kebabCase(data.series) : null,
+    seriesOrder: data.series ? data.seriesOrder : null,
+    readingTime: stats,
+    problems: validateFrontMatter(type, data),
+  }
+}
+
+/**
+ * Drafts are never published, other posts are published once their `publishAt`, or
+ * when it is missing their `date`, has passed.
+ *
+ * @param {ContentEntry} entry
+ * @param {number} [now] timestamp to check against
+ * @returns {boolean}
+ */
+const isPublished = (entry, now = Date.now()) =>
+  !entry.draft && (!entry.publishAt || new Date(entry.publishAt).getTime() <= now)
+
+const getNextPublishAt = (entries) =>
+  entries
+    .filter((entry) => !entry.draft && !isPublished(entry))
+    .map((entry) => entry.publishAt)
+    .sort()[0] || null
+
+const isFresh = (index, signature) =>
+  index.signature === signature &&
+  (!index.nextPublishAt || new Date(index.nextPublishAt).getTime() > Date.now())
+
+const countTags = (entries) =>
+  entries
+    .filter((entry) => isPublished(entry))
+    .reduce((tagCount, entry) => {
+      entry.tags.forEach((tag) => {
+        tagCount[tag] = (tagCount[tag] || 0) + 1
+      })
+      return tagCount
+    }, {})
+
+const groupSeries = (entries) => {
+  const series = {}
+  entries
+    .filter((entry) => entry.series && isPublished(entry))
+    .sort((a, b) => a.seriesOrder - b.seriesOrder)
+    .forEach((entry) => {
+      if (!series[entry.series]) {
+        series[entry.series] = { slug: entry.series, name: entry.frontMatter.series, posts: [] }
+      }
+      series[entry.series].posts.push(entry.slug)
+    })
+  return series
+}
+
+const readArtifact = (type, signature) => {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(artifactDir, `${type}.json`), 'utf8'))
+    return index.version === artifactVersion && isFresh(index, signature) ? index : null
+  } catch (e) {
+    return null
+  }
+}
+
+const writeArtifact = (index) => {
+  const file = path.join(artifactDir, `${index.type}.json`)
+  // See lib/mdx-cache.js, static generation runs in several workers
+  const tmpFile = `${file}.${process.pid}.tmp`
+  fs.mkdirSync(artifactDir, { recursive: true })
+  fs.writeFileSync(tmpFile, JSON.stringify(index, null, 2))
+  fs.renameSync(tmpFile, file)
+}
+
+/**
+ * Parses every file in data/<type> once and returns the manifest of its contents.
+ * The result is memoized for as long as no file in the folder changes and no scheduled post
+ * gets published, within the process and across build workers through the JSON artifact
+ * in .next/cache.
+ *
+ * @param {string} type content folder inside data/, e.g. `blog` or `authors`
+ * @returns {ContentIndex}
+ */
+const getContentIndex = (type) => {
+  const files = getSourceFiles(type)
+  const signature = getSignature(files)
+  if (memo[type] && isFresh(memo[type], signature)) {
+    return memo[type]
+  }
+
+  let index = readArtifact(type, signature)
+  if (!index) {
+    const entries = files
+      .map((file) => parseFile(type, file))
+      .sort((a, b) => dateSortDesc(a.date, b.date))
+    index = {
+      version: artifactVersion,
+      type,
+      signature,
+      entries,
+      tags: countTags(entries),
+      series: groupSeries(entries),
+      nextPublishAt: getNextPublishAt(entries),
+    }
+    writeArtifact(index)
+  }
+  // Drafts included, they are not compiled before they are published
+  index.entries.forEach((entry) => reportFrontMatterProblems(type, entry.fileName, entry.problems))
+
+  memo[type] = index
+  return index
+}
+
+/**
+ * @param {string} type
+ * @param {string} slug
+ * @returns {ContentEntry|undefined}
+ */
+const getEntry = (type, slug) => getContentIndex(type).entries.find((entry) => entry.slug === slug)
+
+module.exports = {
+  readingTimeOptions,
+  normalizeDates,
+  formatSlug,
+  dateSortDesc,
+  isPublished,
+  getContentIndex,
+  getEntry,
+}
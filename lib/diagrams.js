@@ -0,0 +1,221 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+const root = process.cwd()
+
+// Next to the mdx cache, see lib/mdx-cache.js. A diagram is only rendered again when its
+// source or the version of its renderer changes.
+const cacheDir = path.join(root, '.next', 'cache', 'diagrams')
+
+export const languages = ['mermaid', 'dot']
+
+const themes = ['light', 'dark']
+
+// One of the fonts Graphviz has metrics for, others are laid out as Times with a warning
+const fontFamily = 'Helvetica'
+
+// Default attributes of dot diagrams, a diagram can override them
+const dotDefaults = {
+  light: `bgcolor="transparent" fontname="${fontFamily}"
+    node [fontname="${fontFamily}"] edge [fontname="${fontFamily}"]`,
+  dark: `bgcolor="transparent" fontname="${fontFamily}" color="#9ca3af" fontcolor="#e5e7eb"
+    node [fontname="${fontFamily}" color="#d1d5db" fontcolor="#f3f4f6"]
+    edge [fontname="${fontFamily}" color="#d1d5db" fontcolor="#e5e7eb"]`,
+}
+
+const mermaidThemes = { light: 'default', dark: 'dark' }
+
+// mermaid is a devDependency, it is missing from installs without them
+const getVersion = (packageName) => {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(root, 'node_modules', packageName, 'package.json'), 'utf8')
+    ).version
+  } catch (e) {
+    return 'missing'
+  }
+}
+
+const hash = (...parts) => {
+  const h = crypto.createHash('sha256')
+  parts.forEach((part) => h.update(part))
+  return h.digest('hex')
+}
+
+const readCache = (key) => {
+  try {
+    return fs.readFileSync(path.join(cacheDir, `${key}.svg`), 'utf8')
+  } catch (e) {
+    return null
+  }
+}
+
+const writeCache = (key, svg) => {
+  const file = path.join(cacheDir, `${key}.svg`)
+  // Static generation runs in several workers, see lib/mdx-cache.js
+  const tmpFile = `${file}.${process.pid}.tmp`
+  fs.mkdirSync(cacheDir, { recursive: true })
+  fs.writeFileSync(tmpFile, svg)
+  fs.renameSync(tmpFile, file)
+}
+
+// The svg element only, without the xml declaration and comments
+const toInlineSvg = (svg) => svg.slice(svg.indexOf('<svg')).replace(/<!--[\s\S]*?-->/g, '')
+
+// Graphviz numbers the ids of every graph the same way (graph0, node1...), they are prefixed so
+// that the light and dark svg, and the other diagrams of the page, do not share them
+const scopeIds = (svg, prefix) => {
+  const ids = new Set(Array.from(svg.matchAll(/\sid="([^"]+)"/g), (match) => match[1]))
+  return svg.replace(/(\sid="|url\(#|href="#)([^")]+)/g, (match, before, id) =>
+    ids.has(id) ? `${before}${prefix}-${id}` : match
+  )
+}
+
+let graphviz = null
+
+const renderDot = async (source, theme) => {
+  if (!graphviz) {
+    const { Graphviz } = await import('@hpcc-js/wasm/graphviz')
+    graphviz = await Graphviz.load()
+  }
+  const open = source.indexOf('{')
+  if (open === -1) {
+    throw new Error('a dot graph needs a body in braces')
+  }
+  return graphviz.dot(
+    `${source.slice(0, open + 1)}\n${dotDefaults[theme]}\n${source.slice(open + 1)}`
+  )
+}
+
+// How long starting the browser, or rendering a mermaid diagram in it, may take
+const MERMAID_TIMEOUT = 30 * 1000
+
+class TimeoutError extends Error {}
+
+const withTimeout = (promise, what) => {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new TimeoutError(`${what} took longer than ${MERMAID_TIMEOUT}ms`)),
+        MERMAID_TIMEOUT
+      )
+    }),
+  ]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Mermaid lays out text with the browser, so it runs in a headless Chrome through puppeteer, a
+ * devDependency. The browser is only started when a mermaid diagram is not in the cache. Where
+ * it cannot run, e.g. on a CI without Chrome, render resolves to null and the diagrams are left
+ * as code blocks.
+ */
+const createMermaidRenderer = () => {
+  let browser = null
+  let page = null
+  let unavailable = null
+
+  const start = async () => {
+    const { default: puppeteer } = await import('puppeteer')
+    browser = await puppeteer.launch({ headless: true, timeout: MERMAID_TIMEOUT })
+    const newPage = await browser.newPage()
+    await newPage.setContent('<!DOCTYPE html><body></body>')
+    await newPage.addScriptTag({
+      path: path.join(root, 'node_modules', 'mermaid', 'dist', 'mermaid.min.js'),
+    })
+    page = newPage
+  }
+
+  return {
+    get unavailable() {
+      return unavailable
+    },
+    async render(source, theme, id) {
+      if (!page && !unavailable) {
+        try {
+          await withTimeout(start(), 'starting Chrome')
+        } catch (error) {
+          unavailable = `mermaid needs a headless Chrome, ${error.message}`
+        }
+      }
+      if (unavailable) {
+        return null
+      }
+      try {
+        return await withTimeout(
+          page.evaluate(
+            async (source, theme, id) => {
+              window.mermaid.initialize({ startOnLoad: false, theme, securityLevel: 'strict' })
+              const result = await window.mermaid.render(id, source)
+              return typeof result === 'string' ? result : result.svg
+            },
+            source,
+            mermaidThemes[theme],
+            id
+          ),
+          'rendering'
+        )
+      } catch (error) {
+        // Other errors are syntax errors of the diagram
+        if (!(error instanceof TimeoutError)) {
+          throw error
+        }
+        unavailable = `mermaid hangs, ${error.message}`
+        return null
+      }
+    },
+    async close() {
+      if (browser) {
+        await browser.close()
+      }
+    },
+  }
+}
+
+/**
+ * Renders diagrams to inline svg, once for the light and once for the dark theme
+ *
+ * @param {{ language: string, source: string }[]} diagrams language is one of `languages`
+ * @returns {Promise<({ light: string, dark: string } | { error: string } | { skipped: string })[]>}
+ *  skipped when the renderer of the language cannot run
+ */
+export async function renderDiagrams(diagrams) {
+  const versions = {
+    dot: getVersion('@hpcc-js/wasm'),
+    mermaid: getVersion('mermaid'),
+  }
+  const mermaid = createMermaidRenderer()
+  try {
+    const results = []
+    for (const { language, source } of diagrams) {
+      try {
+        const result = {}
+        for (const theme of themes) {
+          const key = hash(language, versions[language], theme, source)
+          let svg = readCache(key)
+          if (!svg) {
+            svg =
+              language === 'dot'
+                ? await renderDot(source, theme)
+                : // mermaid scopes the styles of a diagram to its id
+                  await mermaid.render(source, theme, `mermaid-${key.slice(0, 12)}`)
+            if (!svg) {
+              break
+            }
+            svg = toInlineSvg(svg)
+            writeCache(key, svg)
+          }
+          result[theme] = language === 'dot' ? scopeIds(svg, `dot-${key.slice(0, 12)}`) : svg
+        }
+        results.push(result.dark ? result : { skipped: mermaid.unavailable })
+      } catch (error) {
+        results.push({ error: error.message })
+      }
+    }
+    return results
+  } finally {
+    await mermaid.close()
+  }
+}
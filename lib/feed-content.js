@@ -0,0 +1,118 @@
+// CommonJS so that scripts/generate-feeds.js can render the posts
+const { Children, createElement: h, Fragment } = require('react')
+const { renderToStaticMarkup } = require('react-dom/server')
+const { getMDXComponent } = require('mdx-bundler/client')
+const siteMetadata = require('../data/siteMetadata')
+const { readCompiled } = require('./mdx-cache')
+
+/** @type {Object<string, string|null>} */
+const memo = {}
+
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1)
+
+/**
+ * Stand-ins for the components in components/MDXComponents.js. Feed readers do not run
+ * scripts nor apply the styles of the site, and resolve urls against the feed, so the
+ * interactive components become their content or a link to the post, and every url is
+ * absolute.
+ *
+ * @param {string} url of the post
+ */
+const getFeedComponents = (url) => {
+  const absolute = (href) => href && new URL(href, url).href
+  const linkToPost = (text) => h('p', null, h('em', null, h('a', { href: url }, text)))
+
+  return {
+    wrapper: ({ children }) => h(Fragment, null, children),
+    a: ({ href, ...rest }) => h('a', { ...rest, href: absolute(href) }),
+    img: ({ src, ...rest }) => h('img', { ...rest, src: absolute(src) }),
+    // The variants of the image are left out, they are only meant for the site
+    Image: ({ src, alt, width, height, title }) =>
+      h('img', { src: absolute(src), alt, width, height, title }),
+    Gallery: ({ children }) => h(Fragment, null, children),
+    // The headings are in the content
+    TOCInline: () => null,
+    YoutubeEmbed: ({ id, title }) =>
+      h(
+        'p',
+        null,
+        h(
+          'a',
+          { href: `https://www.youtube.com/watch?v=${id}` },
+          h('img', {
+            src: `https://img.youtube.com/vi/${id}/hqdefault.jpg`,
+            alt: title || 'Youtube video',
+            width: 480,
+            height: 360,
+          }),
+          h('br'),
+          `Watch ${title || 'the video'} on YouTube`
+        )
+      ),
+    GraphQLPlayground: ({ title, query }) =>
+      h(
+        Fragment,
+        null,
+        h('pre', null, h('code', null, query)),
+        linkToPost(`Run ${title || 'this query'} in the post`)
+      ),
+    Diagram: ({ light, title }) =>
+      h(
+        'figure',
+        null,
+        h('div', { dangerouslySetInnerHTML: { __html: light } }),
+        title && h('figcaption', null, title)
+      ),
+    Callout: ({ type = 'note', title, children }) =>
+      h('blockquote', null, h('p', null, h('strong', null, title || capitalize(type))), children),
+    // Every tab, one after the other with its label
+    CodeGroup: ({ children }) =>
+      h(
+        Fragment,
+        null,
+        Children.map(children, (tab) =>
+          h(
+            Fragment,
+            null,
+            tab.props?.['data-tab'] && h('p', null, h('strong', null, tab.props['data-tab'])),
+            tab
+          )
+        )
+      ),
+    BlogNewsletterForm: () => null,
+  }
+}
+
+/**
+ * The full content of a post for the feeds, rendered from its compiled output in the current
+ * build, so it has to run after `next build`.
+ *
+ * @param {import('./content-index').ContentEntry} post
+ * @returns {string|null} html, null when the post has not been compiled or cannot be rendered
+ */
+const getFeedContent = (post) => {
+  if (post.slug in memo) {
+    return memo[post.slug]
+  }
+  const compiled = readCompiled('blog', post.slug)
+  let html = null
+  if (compiled) {
+    try {
+      const Content = getMDXComponent(compiled.mdxSource)
+      html = renderToStaticMarkup(
+        h(Content, {
+          components: getFeedComponents(`${siteMetadata.siteUrl}/${post.slug}`),
+          toc: compiled.toc,
+        })
+      )
+    } catch (error) {
+      console.warn(`feeds - ${post.slug} is not rendered: ${error.message}`)
+    }
+  }
+  memo[post.slug] = html
+  return html
+}
+
+module.exports = {
+  getFeedContent,
+}
@@ -0,0 +1,262 @@
+// CommonJS so that the node scripts in scripts/ can share it with the next.js pages
+const siteMetadata = require('../data/siteMetadata')
+const { getContentIndex, isPublished } = require('./content-index')
+const { escape } = require('./utils/htmlEscaper')
+const { getFeedContent } = require('./feed-content')
+const { getCrossPosts, getOriginalPublication } = require('./canonical')
+
+// The links to them are in components/SEO.js
+const feedFiles = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+}
+
+/**
+ * @typedef Feed
+ * @prop {string} path of the listing the feed is for, '' for the whole site
+ * @prop {string} title
+ * @prop {string} description
+ * @prop {import('./content-index').ContentEntry[]} posts newest first
+ */
+
+/**
+ * @typedef Author
+ * @prop {string} name
+ * @prop {string} [email]
+ * @prop {string} url
+ * @prop {string} [avatar]
+ */
+
+const absoluteUrl = (pathname) => `${siteMetadata.siteUrl}${pathname}`
+
+const listingUrl = (feed) => absoluteUrl(feed.path ? `/${feed.path}` : '')
+
+const feedUrl = (feed, format) =>
+  absoluteUrl(`${feed.path ? `/${feed.path}` : ''}/${feedFiles[format]}`)
+
+const postUrl = (post) => absoluteUrl(`/${post.slug}`)
+
+const updatedAt = (post) => post.lastmod || post.date
+
+const linkTo = ({ name, url }) => `<a href="${escape(url)}">${escape(name)}</a>`
+
+// The banner of the post layouts, see components/CrossPostBanner.js
+const getAttribution = (post) => {
+  const original = getOriginalPublication(post.frontMatter)
+  const crossPosts = getCrossPosts(post.frontMatter)
+  return [
+    original && `<p><em>Originally published at ${linkTo(original)}.</em></p>`,
+    crossPosts.length > 0 &&
+      `<p><em>Also published on ${crossPosts.map(linkTo).join(', ')}.</em></p>`,
+  ]
+    .filter(Boolean)
+    .join('')
+}
+
+const getContent = (post) => {
+  const content = siteMetadata.feeds.fullContent ? getFeedContent(post) : null
+  return content && `${getAttribution(post)}${content}`
+}
+
+// The original and the other sites of the post
+const getPublications = (post) =>
+  [getOriginalPublication(post.frontMatter), ...getCrossPosts(post.frontMatter)].filter(Boolean)
+
+// Content in CDATA cannot contain its end
+const cdata = (text) => `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+
+// Posts are sorted by date, the latest update can be of an older post
+const feedUpdatedAt = (feed) => feed.posts.map(updatedAt).sort().pop() || new Date(0).toISOString()
+
+/**
+ * @returns {Author[]} the authors in data/authors of a post, `default` when it has none
+ */
+const getAuthors = (post) => {
+  const authors = getContentIndex('authors').entries
+  return (post.frontMatter.authors || ['default'])
+    .map((slug) => authors.find((author) => author.slug === slug))
+    .filter(Boolean)
+    .map(({ frontMatter }) => ({
+      name: frontMatter.name,
+      email: frontMatter.email,
+      url: frontMatter.twitter || frontMatter.github || siteMetadata.siteUrl,
+      avatar: frontMatter.avatar && absoluteUrl(frontMatter.avatar),
+    }))
+}
+
+/**
+ * The feeds of the site, of every tag and of every series, with published posts only
+ *
+ * @returns {Feed[]}
+ */
+const getFeeds = () => {
+  const { entries, tags, series } = getContentIndex('blog')
+  const posts = entries.filter((entry) => isPublished(entry))
+  return [
+    {
+      path: '',
+      title: siteMetadata.title,
+      description: siteMetadata.description,
+      posts,
+    },
+    ...Object.keys(tags).map((tag) => ({
+      path: `tags/${tag}`,
+      title: `${tag} - ${siteMetadata.title}`,
+      description: `Posts tagged ${tag} - ${siteMetadata.author}`,
+      posts: posts.filter((post) => post.tags.includes(tag)),
+    })),
+    ...Object.values(series).map(({ slug, name }) => ({
+      path: `series/${slug}`,
+      title: `${name} - ${siteMetadata.title}`,
+      description: `${name} series - ${siteMetadata.author}`,
+      posts: posts.filter((post) => post.series === slug),
+    })),
+  ]
+}
+
+const generateRssItem = (post) => {
+  const content = getContent(post)
+  return [
+    '<item>',
+    `<guid isPermaLink="true">${postUrl(post)}</guid>`,
+    `<title>${escape(post.frontMatter.title)}</title>`,
+    `<link>${postUrl(post)}</link>`,
+    post.frontMatter.summary && `<description>${escape(post.frontMatter.summary)}</description>`,
+    `<pubDate>${new Date(post.date).toUTCString()}</pubDate>`,
+    ...getAuthors(post).map((author) => `<dc:creator>${escape(author.name)}</dc:creator>`),
+    ...(post.frontMatter.tags || []).map((tag) => `<category>${escape(tag)}</category>`),
+    content && `<content:encoded>${cdata(content)}</content:encoded>`,
+    '</item>',
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * @param {Feed} feed
+ * @returns {string} RSS 2.0
+ */
+const generateRss = (feed) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '<channel>',
+    `<title>${escape(feed.title)}</title>`,
+    `<link>${listingUrl(feed)}</link>`,
+    `<description>${escape(feed.description)}</description>`,
+    `<language>${siteMetadata.language}</language>`,
+    `<managingEditor>${siteMetadata.email} (${escape(siteMetadata.author)})</managingEditor>`,
+    `<webMaster>${siteMetadata.email} (${escape(siteMetadata.author)})</webMaster>`,
+    `<lastBuildDate>${new Date(feedUpdatedAt(feed)).toUTCString()}</lastBuildDate>`,
+    `<atom:link href="${feedUrl(feed, 'rss')}" rel="self" type="application/rss+xml"/>`,
+    ...feed.posts.map(generateRssItem),
+    '</channel>',
+    '</rss>',
+  ].join('\n')
+
+const generateAtomAuthor = (author) =>
+  [
+    '<author>',
+    `<name>${escape(author.name)}</name>`,
+    author.email && `<email>${escape(author.email)}</email>`,
+    `<uri>${escape(author.url)}</uri>`,
+    '</author>',
+  ]
+    .filter(Boolean)
+    .join('\n')
+
+const generateAtomEntry = (post) => {
+  const content = getContent(post)
+  return [
+    '<entry>',
+    `<id>${postUrl(post)}</id>`,
+    `<title>${escape(post.frontMatter.title)}</title>`,
+    `<link rel="alternate" type="text/html" href="${postUrl(post)}"/>`,
+    `<published>${post.date}</published>`,
+    `<updated>${updatedAt(post)}</updated>`,
+    ...getAuthors(post).map(generateAtomAuthor),
+    ...getPublications(post).map(
+      ({ name, url }) =>
+        `<link rel="related" type="text/html" title="${escape(name)}" href="${escape(url)}"/>`
+    ),
+    ...(post.frontMatter.tags || []).map((tag) => `<category term="${escape(tag)}"/>`),
+    post.frontMatter.summary && `<summary>${escape(post.frontMatter.summary)}</summary>`,
+    content && `<content type="html">${escape(content)}</content>`,
+    '</entry>',
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * @param {Feed} feed
+ * @returns {string} Atom 1.0
+ */
+const generateAtom = (feed) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${siteMetadata.language}">`,
+    `<id>${listingUrl(feed)}</id>`,
+    `<title>${escape(feed.title)}</title>`,
+    `<subtitle>${escape(feed.description)}</subtitle>`,
+    `<link rel="self" type="application/atom+xml" href="${feedUrl(feed, 'atom')}"/>`,
+    `<link rel="alternate" type="text/html" href="${listingUrl(feed)}"/>`,
+    `<updated>${feedUpdatedAt(feed)}</updated>`,
+    generateAtomAuthor({
+      name: siteMetadata.author,
+      email: siteMetadata.email,
+      url: siteMetadata.siteUrl,
+    }),
+    ...feed.posts.map(generateAtomEntry),
+    '</feed>',
+  ].join('\n')
+
+const toJsonAuthor = ({ name, url, avatar }) => ({ name, url, ...(avatar && { avatar }) })
+
+/**
+ * @param {Feed} feed
+ * @returns {string} JSON Feed 1.1
+ */
+const generateJsonFeed = (feed) =>
+  JSON.stringify(
+    {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: listingUrl(feed),
+      feed_url: feedUrl(feed, 'json'),
+      description: feed.description,
+      icon: absoluteUrl(siteMetadata.siteLogo),
+      language: siteMetadata.language,
+      authors: [{ name: siteMetadata.author, url: siteMetadata.siteUrl }],
+      items: feed.posts.map((post) => {
+        const content = getContent(post)
+        const original = getOriginalPublication(post.frontMatter)
+        return {
+          id: postUrl(post),
+          url: postUrl(post),
+          ...(original && { external_url: original.url }),
+          title: post.frontMatter.title,
+          ...(post.frontMatter.summary && { summary: post.frontMatter.summary }),
+          // Items need a content
+          ...(content
+            ? { content_html: content }
+            : { content_text: post.frontMatter.summary || post.frontMatter.title }),
+          date_published: post.date,
+          date_modified: updatedAt(post),
+          authors: getAuthors(post).map(toJsonAuthor),
+          tags: post.frontMatter.tags || [],
+        }
+      }),
+    },
+    null,
+    2
+  )
+
+module.exports = {
+  feedFiles,
+  getFeeds,
+  generateRss,
+  generateAtom,
+  generateJsonFeed,
+}
@@ -0,0 +1,160 @@
+// CommonJS, used by lib/content-index.js
+const fs = require('fs')
+const path = require('path')
+const reportProblems = require('./utils/reportProblems')
+
+const root = process.cwd()
+
+const getLayouts = (pattern) =>
+  fs
+    .readdirSync(path.join(root, 'layouts'))
+    .map((filename) => path.parse(filename).name)
+    .filter((name) => pattern.test(name))
+
+const getAuthors = () =>
+  fs.readdirSync(path.join(root, 'data', 'authors')).map((filename) => path.parse(filename).name)
+
+const isString = (value) => typeof value === 'string'
+
+const isUrl = (value) => isString(value) && /^https?:\/\/[^/]/.test(value)
+
+const types = {
+  string: {
+    description: 'a string',
+    check: isString,
+  },
+  'string[]': {
+    description: 'a list of strings',
+    check: (value) => Array.isArray(value) && value.every(isString),
+  },
+  number: {
+    description: 'a number',
+    check: (value) => typeof value === 'number' && !isNaN(value),
+  },
+  boolean: {
+    description: 'true or false',
+    check: (value) => typeof value === 'boolean',
+  },
+  url: {
+    description: "an absolute url like 'https://example.com/post'",
+    check: isUrl,
+  },
+  'publication[]': {
+    description: "a list of { name: 'Example Blog', url: 'https://example.com/post' }",
+    check: (value) =>
+      Array.isArray(value) && value.every((item) => item && isString(item.name) && isUrl(item.url)),
+  },
+  date: {
+    description: "a date like '2022-12-31'",
+    check: (value) =>
+      (isString(value) || value instanceof Date) && !isNaN(new Date(value).getTime()),
+  },
+}
+
+/**
+ * @typedef FieldSchema
+ * @prop {string|string[]} type one or more keys of `types`
+ * @prop {boolean | ((frontMatter: object) => boolean)} [required]
+ * @prop {() => string[]} [oneOf] allowed values, for lists every item must be allowed
+ */
+
+/** @type {Object<string, Object<string, FieldSchema>>} */
+const schemas = {
+  blog: {
+    title: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    tags: { type: 'string[]', required: true },
+    draft: { type: 'boolean' },
+    summary: { type: 'string' },
+    images: { type: ['string', 'string[]'] },
+    layout: { type: 'string', oneOf: () => getLayouts(/post/i) },
+    authors: { type: 'string[]', oneOf: getAuthors },
+    lastmod: { type: 'date' },
+    publishAt: { type: 'date' },
+    series: { type: 'string' },
+    seriesOrder: { type: 'number', required: (frontMatter) => Boolean(frontMatter.series) },
+    toc: { type: 'boolean' },
+    // Where the post was first published, when it is another site
+    canonicalUrl: { type: 'url' },
+    // Other sites the post is published on, see lib/canonical.js
+    crossPosted: { type: 'publication[]' },
+  },
+  authors: {
+    name: { type: 'string', required: true },
+    avatar: { type: 'string' },
+    occupation: { type: 'string' },
+    company: { type: 'string' },
+    email: { type: 'string' },
+    twitter: { type: 'string' },
+    linkedin: { type: 'string' },
+    github: { type: 'string' },
+    layout: { type: 'string', oneOf: () => getLayouts(/author/i) },
+  },
+}
+
+const describe = (value) => JSON.stringify(value)
+
+const validateField = (name, field, frontMatter) => {
+  const value = frontMatter[name]
+  if (value === undefined || value === null) {
+    const required =
+      typeof field.required === 'function' ? field.required(frontMatter) : field.required
+    return required ? `"${name}" is required` : null
+  }
+
+  const fieldTypes = [].concat(field.type)
+  if (!fieldTypes.some((type) => types[type].check(value))) {
+    const expected = fieldTypes.map((type) => types[type].description).join(' or ')
+    return `"${name}" should be ${expected}, got ${describe(value)}`
+  }
+
+  if (field.oneOf) {
+    const allowed = field.oneOf()
+    const invalid = [].concat(value).filter((item) => !allowed.includes(item))
+    if (invalid.length > 0) {
+      return `"${name}" should be one of ${allowed.join(', ')}, got ${invalid
+        .map(describe)
+        .join(', ')}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * @param {string} type content folder inside data/
+ * @param {object} frontMatter
+ * @returns {string[]} a description of every violation, empty when valid
+ */
+const validateFrontMatter = (type, frontMatter) => {
+  const schema = schemas[type]
+  if (!schema) {
+    return []
+  }
+  return Object.entries(schema)
+    .map(([name, field]) => validateField(name, field, frontMatter))
+    .filter(Boolean)
+}
+
+/**
+ * @param {string} type content folder inside data/
+ * @param {string} fileName file path relative to data/<type>
+ * @param {string[]} problems see validateFrontMatter
+ */
+const reportFrontMatterProblems = (type, fileName, problems) =>
+  reportProblems(`Invalid frontmatter in data/${type}/${fileName}:`, problems)
+
+/**
+ * @param {string} type content folder inside data/
+ * @param {string} fileName file path relative to data/<type>
+ * @param {object} frontMatter
+ */
+const checkFrontMatter = (type, fileName, frontMatter) =>
+  reportFrontMatterProblems(type, fileName, validateFrontMatter(type, frontMatter))
+
+module.exports = {
+  schemas,
+  validateFrontMatter,
+  reportFrontMatterProblems,
+  checkFrontMatter,
+}
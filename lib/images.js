@@ -0,0 +1,208 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import sharp from 'sharp'
+import { fromMarkdown } from 'mdast-util-from-markdown'
+import { visit } from 'unist-util-visit'
+
+const root = process.cwd()
+
+// Variants and the data of images live in .next/cache next to the mdx cache, see
+// lib/mdx-cache.js, and variants are copied to public/ from there
+const cacheDir = path.join(root, '.next', 'cache', 'images')
+const publicDir = path.join(root, 'public')
+const outputPath = '/static/optimized'
+
+// Widths of the variants, images are never scaled up
+const WIDTHS = [640, 960, 1280, 1920]
+const FORMATS = { avif: { quality: 50 }, webp: { quality: 75 } }
+// Variants in the format of the original, for the `<img>` of browsers without AVIF and WebP
+const FALLBACK_FORMATS = { jpeg: { quality: 80 }, png: {} }
+const PLACEHOLDER_WIDTH = 16
+// A slow host must not hold the build, its images are shown as they are
+const REMOTE_TIMEOUT = 10000
+
+/**
+ * @typedef ImageData
+ * @prop {string} src the original image
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {string} [blurDataURL] a tiny version of the image, shown while it loads
+ * @prop {{ avif?: string, webp?: string, fallback?: string }} srcSets variants of local images,
+ *  fallback is in the format of the original
+ */
+
+const hash = (...parts) => {
+  const h = crypto.createHash('sha256')
+  parts.forEach((part) => h.update(part))
+  return h.digest('hex').slice(0, 16)
+}
+
+// Static generation runs in several workers, write to a temporary file and rename so that no
+// worker ever reads a half written file
+const writeAtomic = (file, write) => {
+  const tmpFile = `${file}.${process.pid}.tmp`
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  write(tmpFile)
+  fs.renameSync(tmpFile, file)
+}
+
+const readData = (key) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cacheDir, `${key}.json`), 'utf8'))
+  } catch (e) {
+    return null
+  }
+}
+
+const writeData = (key, data) =>
+  writeAtomic(path.join(cacheDir, `${key}.json`), (file) =>
+    fs.writeFileSync(file, JSON.stringify(data))
+  )
+
+const getDimensions = (metadata) =>
+  // EXIF orientations 5 to 8 are rotated by 90 degrees
+  metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height }
+
+const getPlaceholder = async (buffer) => {
+  const placeholder = await sharp(buffer)
+    .rotate()
+    .resize(PLACEHOLDER_WIDTH)
+    .webp({ quality: 50 })
+    .toBuffer()
+  return `data:image/webp;base64,${placeholder.toString('base64')}`
+}
+
+/**
+ * @returns {Promise<ImageData>}
+ */
+const processLocalImage = async (src) => {
+  const buffer = fs.readFileSync(path.join(publicDir, decodeURI(src)))
+  // New options make new variants
+  const key = hash(buffer, JSON.stringify({ WIDTHS, FORMATS, FALLBACK_FORMATS }))
+  let data = readData(key)
+
+  if (!data) {
+    const metadata = await sharp(buffer).metadata()
+    const { width, height } = getDimensions(metadata)
+    // Animations and vector images are served as they are
+    const widths =
+      metadata.pages > 1 || metadata.format === 'svg'
+        ? []
+        : [...WIDTHS.filter((w) => w < width), Math.min(width, WIDTHS[WIDTHS.length - 1])]
+    const name = path.basename(src, path.extname(src))
+    const formats = Object.entries(FORMATS).map(([format, options]) => [format, format, options])
+    if (metadata.format in FALLBACK_FORMATS) {
+      formats.push(['fallback', metadata.format, FALLBACK_FORMATS[metadata.format]])
+    }
+    const srcSets = {}
+    for (const [srcSet, format, options] of formats) {
+      const variants = []
+      for (const w of widths) {
+        const file = `${name}-${key}-${w}.${format}`
+        const variant = await sharp(buffer).rotate().resize(w).toFormat(format, options).toBuffer()
+        writeAtomic(path.join(cacheDir, file), (tmpFile) => fs.writeFileSync(tmpFile, variant))
+        variants.push(`${outputPath}/${file} ${w}w`)
+      }
+      if (variants.length > 0) {
+        srcSets[srcSet] = variants.join(', ')
+      }
+    }
+    data = {
+      src,
+      width,
+      height,
+      blurDataURL: metadata.format === 'svg' ? undefined : await getPlaceholder(buffer),
+      srcSets,
+    }
+    writeData(key, data)
+  }
+
+  Object.values(data.srcSets)
+    .flatMap((srcSet) => srcSet.split(', ').map((variant) => variant.split(' ')[0]))
+    .forEach((variant) => {
+      const file = path.join(publicDir, variant)
+      if (!fs.existsSync(file)) {
+        writeAtomic(file, (tmpFile) =>
+          fs.copyFileSync(path.join(cacheDir, path.basename(variant)), tmpFile)
+        )
+      }
+    })
+  // The data is cached by content, the same file can be in public/ under another name
+  return { ...data, src }
+}
+
+/**
+ * Remote images are not copied, only their dimensions and placeholder are cached
+ *
+ * @returns {Promise<ImageData>}
+ */
+const processRemoteImage = async (src) => {
+  const key = `remote-${hash(src)}`
+  let data = readData(key)
+  if (!data) {
+    const response = await fetch(src, { signal: AbortSignal.timeout(REMOTE_TIMEOUT) })
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`)
+    }
+    const buffer = Buffer.from(await response.arrayBuffer())
+    const metadata = await sharp(buffer).metadata()
+    data = {
+      src,
+      ...getDimensions(metadata),
+      blurDataURL: metadata.format === 'svg' ? undefined : await getPlaceholder(buffer),
+      srcSets: {},
+    }
+    writeData(key, data)
+  }
+  return data
+}
+
+const isRemote = (url) => /^https?:\/\//.test(url)
+
+const processImages = async (content, include, processImage) => {
+  const urls = new Set()
+  visit(fromMarkdown(content), 'image', (node) => {
+    if (include(node.url)) {
+      urls.add(node.url)
+    }
+  })
+
+  const images = {}
+  for (const url of urls) {
+    try {
+      images[url] = await processImage(url)
+    } catch (error) {
+      console.warn(`images - ${url} is not optimized: ${error.message}`)
+    }
+  }
+  return images
+}
+
+/**
+ * Optimizes the local images of a post: they get AVIF and WebP variants in public/, their
+ * dimensions and a blur placeholder. Images that cannot be read are left out, they are shown
+ * as they are.
+ *
+ * @param {string} content markdown of a post
+ * @returns {Promise<Record<string, ImageData>>} by the url in the post
+ */
+export const getLocalImages = (content) =>
+  processImages(
+    content,
+    (url) =>
+      !isRemote(url) && url.startsWith('/') && fs.existsSync(path.join(publicDir, decodeURI(url))),
+    processLocalImage
+  )
+
+/**
+ * The dimensions and blur placeholder of the remote images of a post. They are fetched, so
+ * only read them when the post is compiled, their urls are part of its source. Images that
+ * cannot be fetched are left out, they are shown as they are.
+ *
+ * @param {string} content markdown of a post
+ * @returns {Promise<Record<string, ImageData>>} by the url in the post
+ */
+export const getRemoteImages = (content) => processImages(content, isRemote, processRemoteImage)
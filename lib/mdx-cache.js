@@ -0,0 +1,158 @@
+// CommonJS so that the node scripts in scripts/ can read the compiled posts, see lib/feed-content.js
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const getAllFilesRecursively = require('./utils/files')
+
+const root = process.cwd()
+
+// Lives inside .next/cache so it survives `next build` and is restored by Vercel between deploys
+const cacheDir = path.join(root, '.next', 'cache', 'mdx')
+// Outside of .next/cache, `next build` empties it, so it only has the posts of the current build
+const compiledDir = path.join(root, '.next', 'mdx')
+
+// Everything that can change the compiled output of a post without changing its source:
+// the remark/rehype plugins and their configuration live in lib/, mdx imports are resolved
+// from components/ and plugin versions are pinned in package.json
+const pipelineSources = ['lib', 'components', 'package.json']
+
+const stats = { hits: 0, misses: 0 }
+
+let pipelineHash = null
+
+const hash = (...parts) => {
+  const h = crypto.createHash('sha256')
+  parts.forEach((part) => h.update(part))
+  return h.digest('hex')
+}
+
+const getPipelineHash = () => {
+  // Plugins and components are edited while `next dev` is running, so only memoize in builds
+  if (pipelineHash && process.env.NODE_ENV === 'production') {
+    return pipelineHash
+  }
+  const files = pipelineSources
+    .map((source) => path.join(root, source))
+    .flatMap((source) =>
+      fs.statSync(source).isDirectory() ? getAllFilesRecursively(source) : [source]
+    )
+    .sort()
+  pipelineHash = hash(
+    ...files.flatMap((file) => [path.relative(root, file), fs.readFileSync(file)])
+  )
+  return pipelineHash
+}
+
+const entryPath = (type, slug) => path.join(cacheDir, type, `${slug}.json`)
+
+/**
+ * Cache key for a single mdx file
+ *
+ * @param {string} source raw file contents, frontmatter included
+ * @param {...string} dependencies anything else the compiled output depends on, e.g. the
+ *  signature of the other posts it links to
+ * @returns {string}
+ */
+function getCacheKey(source, ...dependencies) {
+  return hash(source, getPipelineHash(), ...dependencies)
+}
+
+/**
+ * @typedef CacheEntry
+ * @prop {{ mdxSource: string, toc: object[], frontMatter: object }} value
+ * @prop {import('./utils/reportProblems').ReportedProblems[]} reported the problems the remark
+ *  checkers reported while compiling, only warnings make it into the cache
+ * @prop {string[]} publicFiles paths in public/ that the links of the post resolved to
+ */
+
+const isPublicFile = (pathname) => fs.existsSync(path.join(root, 'public', pathname))
+
+/**
+ * @param {string} type content folder inside data/
+ * @param {string} slug
+ * @param {string} key see getCacheKey
+ * @returns {CacheEntry | null} null when the key differs or a public file the post links to
+ *  is gone, recompiling reports the dead link
+ */
+function readCache(type, slug, key) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(type, slug), 'utf8'))
+    if (entry.key === key && entry.publicFiles.every(isPublicFile)) {
+      return entry
+    }
+  } catch (e) {
+    // missing or unreadable entries are treated as a miss
+  }
+  return null
+}
+
+const compiledPath = (type, slug) => path.join(compiledDir, type, `${slug}.json`)
+
+/**
+ * The compiled output of a post in the current build, cached or not, including posts whose
+ * diagrams were skipped and are not cached
+ *
+ * @param {string} type content folder inside data/
+ * @param {string} slug
+ * @returns {{ mdxSource: string, toc: object[], frontMatter: object } | null}
+ */
+function readCompiled(type, slug) {
+  try {
+    return JSON.parse(fs.readFileSync(compiledPath(type, slug), 'utf8'))
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * @param {string} type content folder inside data/
+ * @param {string} slug
+ * @param {CacheEntry['value']} value
+ */
+function writeCompiled(type, slug, value) {
+  const file = compiledPath(type, slug)
+  // Static generation runs in several workers, see writeCache
+  const tmpFile = `${file}.${process.pid}.tmp`
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(tmpFile, JSON.stringify(value))
+  fs.renameSync(tmpFile, file)
+}
+
+/**
+ * @param {string} type content folder inside data/
+ * @param {string} slug
+ * @param {string} key see getCacheKey
+ * @param {CacheEntry} entry
+ */
+function writeCache(type, slug, key, { value, reported, publicFiles }) {
+  const file = entryPath(type, slug)
+  // Static generation runs in several workers, write to a temporary file and rename
+  // so that no worker ever reads a half written entry
+  const tmpFile = `${file}.${process.pid}.tmp`
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(tmpFile, JSON.stringify({ key, value, reported, publicFiles }))
+  fs.renameSync(tmpFile, file)
+}
+
+function logCompile(type, slug, duration, hit) {
+  if (hit) {
+    stats.hits += 1
+  } else {
+    stats.misses += 1
+  }
+  const total = stats.hits + stats.misses
+  const hitRate = Math.round((stats.hits / total) * 100)
+  console.log(
+    `mdx - ${type}/${slug} ${hit ? 'cached' : 'compiled'} in ${duration}ms ` +
+      `(cache hits ${stats.hits}/${total}, ${hitRate}%)`
+  )
+}
+
+module.exports = {
+  getCacheKey,
+  readCache,
+  readCompiled,
+  writeCache,
+  writeCompiled,
+  logCompile,
+}
@@ -3,15 +3,36 @@ import fs from 'fs'
 import matter from 'gray-matter'
 import path from 'path'
 import readingTime from 'reading-time'
-import getAllFilesRecursively from './utils/files'
+import {
+  dateSortDesc,
+  formatSlug,
+  getContentIndex,
+  isPublished,
+  normalizeDates,
+  readingTimeOptions,
+} from './content-index'
+import { getCacheKey, logCompile, readCache, writeCache, writeCompiled } from './mdx-cache'
+import { checkFrontMatter } from './frontmatter-schema'
+import { getLocalImages, getRemoteImages } from './images'
+import reportProblems from './utils/reportProblems'
+import siteMetadata from '@/data/siteMetadata'
 // Remark packages
 import remarkGfm from 'remark-gfm'
+import remarkDirective from 'remark-directive'
 import remarkFootnotes from 'remark-footnotes'
 import remarkMath from 'remark-math'
 import remarkExtractFrontmatter from './remark-extract-frontmatter'
+import remarkCallouts from './remark-callouts'
 import remarkCodeTitles from './remark-code-title'
-import remarkTocHeadings from './remark-toc-headings'
+import remarkCodeGroups from './remark-code-groups'
+import remarkDiagrams from './remark-diagrams'
+import remarkTocHeadings from './remark-toc-headings.mjs'
+import remarkVideos from './remark-videos'
+import remarkTwoslash from './remark-twoslash'
+import remarkGraphql from './remark-graphql'
+import remarkRunnableCode from './remark-runnable-code'
 import remarkImgToJsx from './remark-img-to-jsx'
+import remarkInternalLinks, { getLinkTargets } from './remark-internal-links'
 import remarkSmartypants from 'remark-smartypants'
 // Rehype packages
 import rehypeSlug from 'rehype-slug'
@@ -20,28 +41,14 @@ import rehypeKatex from 'rehype-katex'
 import rehypeCitation from 'rehype-citation'
 import rehypePrismPlus from 'rehype-prism-plus'
 import rehypePresetMinify from 'rehype-preset-minify'
+import rehypeTwoslash from './rehype-twoslash'
 
 const root = process.cwd()
 
-const readtimeTimeOptions = {
-  wordsPerMinute: 135,
-}
+export { formatSlug, dateSortDesc }
 
 export function getFiles(type) {
-  const prefixPaths = path.join(root, 'data', type)
-  const files = getAllFilesRecursively(prefixPaths)
-  // Only want to return blog/path and ignore root, replace is needed to work on Windows
-  return files.map((file) => file.slice(prefixPaths.length + 1).replace(/\\/g, '/'))
-}
-
-export function formatSlug(slug) {
-  return slug.replace(/\.(mdx|md)/, '')
-}
-
-export function dateSortDesc(a, b) {
-  if (a > b) return -1
-  if (a < b) return 1
-  return 0
+  return getContentIndex(type).entries.map((entry) => entry.fileName)
 }
 
 export async function getFileBySlug(type, slug) {
@@ -50,6 +57,47 @@ export async function getFileBySlug(type, slug) {
   const source = fs.existsSync(mdxPath)
     ? fs.readFileSync(mdxPath, 'utf8')
     : fs.readFileSync(mdPath, 'utf8')
+  const fileName = fs.existsSync(mdxPath) ? `${slug}.mdx` : `${slug}.md`
+
+  const { data, content } = matter(source)
+  checkFrontMatter(type, fileName, data)
+
+  // GraphQL snippets are validated against the schema next to the post, see remark-graphql
+  const schemaPath = path.join(root, 'data', type, `${slug}.graphql`)
+  const schema = fs.existsSync(schemaPath) ? fs.readFileSync(schemaPath, 'utf8') : ''
+  // ...and a post can import it and its resolvers for a GraphQLPlayground
+  const resolversPath = path.join(root, 'data', type, `${slug}.resolvers.js`)
+  const resolvers = fs.existsSync(resolversPath) ? fs.readFileSync(resolversPath, 'utf8') : ''
+  const files = {}
+  if (schema) {
+    files['./schema.graphql'] = schema
+  }
+  if (resolvers) {
+    files['./resolvers.js'] = resolvers
+  }
+
+  const start = Date.now()
+  // Before the cache lookup, so that the variants are in public/ when the post is not compiled
+  const localImages = await getLocalImages(content)
+  // Links are checked against the other posts, a post has to be recompiled when they change
+  const cacheKey = getCacheKey(
+    source,
+    getLinkTargets().signature,
+    schema,
+    resolvers,
+    JSON.stringify(localImages)
+  )
+  const cached = readCache(type, slug, cacheKey)
+  if (cached) {
+    // A cold build would report them again, and fail on them in production
+    cached.reported.forEach(({ title, problems }) => reportProblems(title, problems))
+    writeCompiled(type, slug, cached.value)
+    logCompile(type, slug, Date.now() - start, true)
+    return cached.value
+  }
+
+  // Only fetched when the post is compiled, their urls are part of its source
+  const images = { ...localImages, ...(await getRemoteImages(content)) }
 
   // https://github.com/kentcdodds/mdx-bundler#nextjs-esbuild-enoent
   if (process.platform === 'win32') {
@@ -59,12 +107,18 @@ export async function getFileBySlug(type, slug) {
   }
 
   let toc = []
+  let videos = []
+  // Filled by the remark checkers, see lib/mdx-cache.js
+  const reported = []
+  const publicFiles = []
+  const skippedDiagrams = []
+  const checkerOptions = { fileName: `data/${type}/${fileName}`, reported }
 
-  const { content } = matter(source)
   const { code, frontmatter } = await bundleMDX({
     source,
     // mdx imports can be automatically source from the components directory
     cwd: path.join(root, 'components'),
+    files,
     mdxOptions(options, frontmatter) {
       // this is the recommended way to add custom remark/rehype plugins:
       // The syntax might look weird, but it protects you in case we add/remove
@@ -73,15 +127,25 @@ export async function getFileBySlug(type, slug) {
         ...(options.remarkPlugins ?? []),
         remarkExtractFrontmatter,
         [remarkTocHeadings, { exportRef: toc }],
+        [remarkVideos, { exportRef: videos }],
         remarkGfm,
+        remarkDirective,
+        [remarkCallouts, checkerOptions],
+        [remarkInternalLinks, { ...checkerOptions, ...siteMetadata.internalLinks, publicFiles }],
+        [remarkDiagrams, { ...checkerOptions, skipped: skippedDiagrams }],
+        remarkCodeGroups,
         remarkCodeTitles,
+        [remarkTwoslash, checkerOptions],
+        [remarkGraphql, { ...checkerOptions, schema }],
+        [remarkRunnableCode, checkerOptions],
         [remarkFootnotes, { inlineNotes: true }],
         remarkMath,
-        remarkImgToJsx,
+        [remarkImgToJsx, { images }],
         remarkSmartypants,
       ]
       options.rehypePlugins = [
         ...(options.rehypePlugins ?? []),
+        // only headings that remarkTocHeadings did not give an id to
         rehypeSlug,
         [
           rehypeAutolinkHeadings,
@@ -92,6 +156,7 @@ export async function getFileBySlug(type, slug) {
         rehypeKatex,
         [rehypeCitation, { path: path.join(root, 'data') }],
         [rehypePrismPlus, { ignoreMissing: true }],
+        rehypeTwoslash,
         rehypePresetMinify,
       ]
       return options
@@ -100,49 +165,38 @@ export async function getFileBySlug(type, slug) {
       options.loader = {
         ...options.loader,
         '.js': 'jsx',
+        '.graphql': 'text',
       }
       return options
     },
   })
 
-  return {
+  const result = {
     mdxSource: code,
     toc,
+    videos,
     frontMatter: {
-      readingTime: readingTime(content, readtimeTimeOptions),
+      readingTime: readingTime(content, readingTimeOptions),
       slug: slug || null,
-      fileName: fs.existsSync(mdxPath) ? `${slug}.mdx` : `${slug}.md`,
+      fileName,
       ...frontmatter,
-      date: frontmatter.date ? new Date(frontmatter.date).toISOString() : null,
+      ...normalizeDates(frontmatter),
     },
   }
-}
-
-export async function getAllFilesFrontMatter(folder) {
-  const prefixPaths = path.join(root, 'data', folder)
 
-  const files = getAllFilesRecursively(prefixPaths)
-
-  const allFrontMatter = []
+  // Compiled again once the diagrams can be rendered
+  if (skippedDiagrams.length === 0) {
+    writeCache(type, slug, cacheKey, { value: result, reported, publicFiles })
+  }
+  // What lib/feed-content.js renders in the feeds
+  writeCompiled(type, slug, result)
+  logCompile(type, slug, Date.now() - start, false)
 
-  files.forEach((file) => {
-    // Replace is needed to work on Windows
-    const fileName = file.slice(prefixPaths.length + 1).replace(/\\/g, '/')
-    // Remove Unexpected File
-    if (path.extname(fileName) !== '.md' && path.extname(fileName) !== '.mdx') {
-      return
-    }
-    const source = fs.readFileSync(file, 'utf8')
-    const { data: frontmatter, content } = matter(source)
-    if (frontmatter.draft !== true) {
-      allFrontMatter.push({
-        ...frontmatter,
-        readingTime: readingTime(content, readtimeTimeOptions),
-        slug: formatSlug(fileName),
-        date: frontmatter.date ? new Date(frontmatter.date).toISOString() : null,
-      })
-    }
-  })
+  return result
+}
 
-  return allFrontMatter.sort((a, b) => dateSortDesc(a.date, b.date))
+export async function getAllFilesFrontMatter(folder) {
+  return getContentIndex(folder)
+    .entries.filter((entry) => isPublished(entry))
+    .map((entry) => entry.frontMatter)
 }
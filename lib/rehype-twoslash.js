@@ -0,0 +1,93 @@
+import { visit } from 'unist-util-visit'
+
+const isLine = (node) =>
+  node.type === 'element' && (node.properties.className || []).includes('code-line')
+
+/**
+ * Wraps the text from `start` to `end` of a highlighted line in `wrap(text)`, splitting
+ * tokens where needed
+ *
+ * @returns {number} the offset after `node`
+ */
+const wrapRange = (node, offset, start, end, wrap) => {
+  if (node.type === 'text') {
+    return offset + node.value.length
+  }
+  const children = []
+  ;(node.children || []).forEach((child) => {
+    if (child.type !== 'text') {
+      offset = wrapRange(child, offset, start, end, wrap)
+      children.push(child)
+      return
+    }
+    const from = Math.max(start - offset, 0)
+    const to = Math.min(end - offset, child.value.length)
+    if (from < to) {
+      children.push(
+        { type: 'text', value: child.value.slice(0, from) },
+        wrap(child.value.slice(from, to)),
+        { type: 'text', value: child.value.slice(to) }
+      )
+    } else {
+      children.push(child)
+    }
+    offset += child.value.length
+  })
+  node.children = children.filter((child) => child.type !== 'text' || child.value)
+  return offset
+}
+
+const metaLine = (className, text) => ({
+  type: 'element',
+  tagName: 'span',
+  properties: { className: ['twoslash-meta', className] },
+  children: [{ type: 'text', value: `${text}\n` }],
+})
+
+/**
+ * Renders the types found by remark-twoslash and remark-graphql into the highlighted code:
+ * hover popups on identifiers, the result of `// ^?` queries and expected errors below their
+ * lines. Runs after rehype-prism-plus, which splits the code into `.code-line`s.
+ */
+export default function rehypeTwoslash() {
+  return (tree) =>
+    visit(tree, 'element', (node) => {
+      if (node.tagName !== 'code' || !node.properties.dataTwoslash) {
+        return
+      }
+      const { hovers, queries, errors } = JSON.parse(node.properties.dataTwoslash)
+      delete node.properties.dataTwoslash
+
+      const lines = node.children.filter(isLine)
+      hovers
+        .filter(({ line }) => lines[line])
+        .forEach(({ line, character, length, text }) =>
+          wrapRange(lines[line], 0, character, character + length, (value) => ({
+            type: 'element',
+            tagName: 'span',
+            properties: { className: ['twoslash-hover'], dataType: text },
+            children: [{ type: 'text', value }],
+          }))
+        )
+
+      const after = lines.map(() => [])
+      queries
+        .filter(({ line }) => lines[line])
+        .forEach(({ line, character, text }) => {
+          const indent = ' '.repeat(character)
+          const value = text
+            .split('\n')
+            .map((typeLine, i) => `${indent}${i === 0 ? '^ ' : '  '}${typeLine}`)
+            .join('\n')
+          after[line].push(metaLine('twoslash-query', value))
+        })
+      errors
+        .filter(({ line }) => lines[line])
+        .forEach(({ line, text }) => after[line].push(metaLine('twoslash-error', text)))
+
+      node.children = node.children.flatMap((child) => {
+        const index = lines.indexOf(child)
+        return index === -1 ? [child] : [child, ...after[index]]
+      })
+    })
+}
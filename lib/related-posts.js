@@ -0,0 +1,115 @@
+import fs from 'fs'
+import matter from 'gray-matter'
+import siteMetadata from '@/data/siteMetadata'
+import { getContentIndex, isPublished } from './content-index'
+import tokenize from './utils/tokenize'
+
+let memo = null
+
+const tokenizePost = (text) =>
+  tokenize(
+    text
+      // links and images keep their text but lose their urls
+      .replace(/\]\([^)]*\)/g, ' ')
+      .replace(/https?:\/\/\S+/g, ' ')
+  ).filter((token) => !/^\d+$/.test(token))
+
+/**
+ * @param {string[][]} documents tokens of every document
+ * @returns {Map<string, number>[]} unit length tf-idf vector of every document
+ */
+const tfidfVectors = (documents) => {
+  const documentFrequency = new Map()
+  documents.forEach((tokens) =>
+    new Set(tokens).forEach((token) =>
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)
+    )
+  )
+
+  return documents.map((tokens) => {
+    const termFrequency = new Map()
+    tokens.forEach((token) => termFrequency.set(token, (termFrequency.get(token) || 0) + 1))
+
+    const vector = new Map()
+    termFrequency.forEach((count, token) => {
+      const idf = Math.log(documents.length / documentFrequency.get(token))
+      vector.set(token, (count / tokens.length) * idf)
+    })
+    const norm = Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0))
+    vector.forEach((value, token) => vector.set(token, norm ? value / norm : 0))
+    return vector
+  })
+}
+
+const cosineSimilarity = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a]
+  let dot = 0
+  small.forEach((value, token) => {
+    dot += value * (large.get(token) || 0)
+  })
+  return dot
+}
+
+const jaccard = (a, b) => {
+  const union = new Set([...a, ...b])
+  return union.size ? a.filter((item) => b.includes(item)).length / union.size : 0
+}
+
+const getModel = (type) => {
+  const { signature, nextPublishAt, entries } = getContentIndex(type)
+  // The published posts change without a file changing when a scheduled post is due
+  const key = `${type}|${signature}|${nextPublishAt}`
+  if (memo && memo.key === key) {
+    return memo
+  }
+
+  const posts = entries.filter((entry) => isPublished(entry))
+  const vectors = tfidfVectors(
+    posts.map((entry) => {
+      const { content } = matter(fs.readFileSync(entry.filePath, 'utf8'))
+      return tokenizePost(`${entry.frontMatter.title} ${content}`)
+    })
+  )
+
+  memo = { key, posts, vectors }
+  return memo
+}
+
+/**
+ * Scores every other published post by tag overlap, series membership and text similarity
+ * of the post bodies, weighted by `siteMetadata.relatedPosts`.
+ *
+ * @param {string} type
+ * @param {string} slug
+ * @returns {object[]} frontmatter of the best scoring posts, best first
+ */
+export function getRelatedPosts(type, slug) {
+  const { count, weights } = siteMetadata.relatedPosts
+  const { posts, vectors } = getModel(type)
+  const current = posts.findIndex((entry) => entry.slug === slug)
+  if (current === -1) {
+    return []
+  }
+  const post = posts[current]
+
+  return posts
+    .map((entry, index) => ({
+      entry,
+      score:
+        index === current
+          ? 0
+          : weights.tags * jaccard(post.tags, entry.tags) +
+            weights.series * (post.series && post.series === entry.series ? 1 : 0) +
+            weights.content * cosineSimilarity(vectors[current], vectors[index]),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ entry: { frontMatter } }) => ({
+      slug: frontMatter.slug,
+      title: frontMatter.title,
+      date: frontMatter.date,
+      summary: frontMatter.summary || null,
+      tags: frontMatter.tags,
+    }))
+}
@@ -0,0 +1,54 @@
+import { SKIP, visit } from 'unist-util-visit'
+import { toString } from 'mdast-util-to-string'
+import reportProblems from './utils/reportProblems'
+
+export const calloutTypes = ['note', 'tip', 'warning', 'danger', 'details']
+
+/**
+ * Turns the `:::note` … `:::` container directives parsed by remark-directive into
+ * components/Callout.js. The types are note, tip, warning, danger and details, the label is
+ * the title: `:::warning[Breaking change]`.
+ *
+ * Posts do not use leaf and text directives, they are put back as the text they were written
+ * as, so that something like `:30am` in prose stays as it is.
+ *
+ * @param {{ fileName: string, reported?: object[] }} options
+ */
+export default function remarkCallouts(options) {
+  return (tree, file) => {
+    const problems = []
+    visit(tree, (node, index, parent) => {
+      if (node.type === 'textDirective' || node.type === 'leafDirective') {
+        const text = {
+          type: 'text',
+          value: String(file.value).slice(node.position.start.offset, node.position.end.offset),
+        }
+        parent.children[index] =
+          node.type === 'textDirective' ? text : { type: 'paragraph', children: [text] }
+        return SKIP
+      }
+      if (node.type !== 'containerDirective') {
+        return
+      }
+      if (!calloutTypes.includes(node.name)) {
+        problems.push(
+          `line ${node.position.start.line}: unknown callout :::${node.name}, ` +
+            `use one of ${calloutTypes.join(', ')}`
+        )
+        return
+      }
+
+      const label = node.children[0]?.data?.directiveLabel ? node.children.shift() : null
+      parent.children[index] = {
+        type: 'mdxJsxFlowElement',
+        name: 'Callout',
+        attributes: [
+          { type: 'mdxJsxAttribute', name: 'type', value: node.name },
+          ...(label ? [{ type: 'mdxJsxAttribute', name: 'title', value: toString(label) }] : []),
+        ],
+        children: node.children,
+      }
+    })
+    reportProblems(`Invalid callouts in ${options.fileName}:`, problems, options.reported)
+  }
+}
@@ -0,0 +1,80 @@
+import { visit } from 'unist-util-visit'
+
+const tabPattern = /(?:^|\s)tab(?:=(?:"([^"]*)"|'([^']*)'|(\S+)))?(?=\s|$)/
+
+const languageNames = {
+  js: 'JavaScript',
+  javascript: 'JavaScript',
+  jsx: 'JSX',
+  ts: 'TypeScript',
+  typescript: 'TypeScript',
+  tsx: 'TSX',
+  graphql: 'GraphQL',
+  gql: 'GraphQL',
+  http: 'HTTP',
+  json: 'JSON',
+  sh: 'Shell',
+  bash: 'Shell',
+  shell: 'Shell',
+  py: 'Python',
+  python: 'Python',
+  go: 'Go',
+}
+
+/**
+ * @returns {string | null} the tab label of a code block, null when it is not a tab
+ */
+const takeTab = (node) => {
+  const match = tabPattern.exec(node.meta || '')
+  if (!match) {
+    return null
+  }
+  node.meta = node.meta.replace(match[0], '').trim() || null
+  // ```ts:title.ts is a title, see remark-code-title
+  const lang = (node.lang || '').split(':')[0]
+  return match[1] ?? match[2] ?? match[3] ?? languageNames[lang] ?? (lang || 'Code')
+}
+
+/**
+ * Groups consecutive code blocks marked with `tab` into the tabs of a
+ * components/CodeGroup.js. The label is the language, or set with `tab="graphql-js"`:
+ *
+ * ````md
+ * ```graphql tab="SDL"
+ * ```
+ * ```ts tab="graphql-js"
+ * ```
+ * ````
+ *
+ * Every block is wrapped in a `div` with the label, so that a title of the block stays with it.
+ */
+export default function remarkCodeGroups() {
+  return (tree) =>
+    visit(tree, (parent) => {
+      if (!parent.children) {
+        return
+      }
+      const children = []
+      let group = null
+      parent.children.forEach((node) => {
+        const label = node.type === 'code' ? takeTab(node) : null
+        if (label === null) {
+          group = null
+          children.push(node)
+          return
+        }
+        if (!group) {
+          group = { type: 'mdxJsxFlowElement', name: 'CodeGroup', attributes: [], children: [] }
+          children.push(group)
+        }
+        group.children.push({
+          type: 'mdxJsxFlowElement',
+          name: 'div',
+          attributes: [{ type: 'mdxJsxAttribute', name: 'data-tab', value: label }],
+          children: [node],
+          data: { _xdmExplicitJsx: true },
+        })
+      })
+      parent.children = children
+    })
+}
@@ -1,10 +1,35 @@
 import { visit } from 'unist-util-visit'
 
+const titlePattern = /(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/
+const flagPattern = (name) => new RegExp(`(?:^|\\s)${name}(?:=(true|false))?(?=\\s|$)`)
+
+/**
+ * @param {string} meta
+ * @param {string} name
+ * @returns {{ value: boolean | undefined, meta: string }} value is undefined when the flag is
+ *  not set, meta is the meta without the flag
+ */
+const takeFlag = (meta, name) => {
+  const match = flagPattern(name).exec(meta)
+  return match
+    ? { value: match[1] !== 'false', meta: meta.replace(match[0], '') }
+    : { value: undefined, meta }
+}
+
+/**
+ * Handles the fenced code meta that rehype-prism-plus does not understand. Line highlights
+ * (`{1,3-4}`) and line numbers (`showLineNumbers`, `showLineNumbers=10`) are left to it.
+ *
+ * - ```` ```ts:schema.ts ```` or ```` ```ts title="schema.ts" ```` adds a title above the block
+ * - ```` ```ts diff ```` marks lines starting with `+` and `-` and keeps the ts highlighting
+ * - ```` ```ts collapse ```` collapses the block, `collapse=false` keeps a long block expanded
+ */
 export default function remarkCodeTitles() {
   return (tree) =>
     visit(tree, 'code', (node, index, parent) => {
       const nodeLang = node.lang || ''
-      let language = ''
+      let meta = node.meta || ''
+      let language = nodeLang
       let title = ''
 
       if (nodeLang.includes(':')) {
@@ -12,6 +37,28 @@ export default function remarkCodeTitles() {
         title = nodeLang.slice(nodeLang.search(':') + 1, nodeLang.length)
       }
 
+      const titleMatch = titlePattern.exec(meta)
+      if (titleMatch) {
+        title = titleMatch[1] ?? titleMatch[2] ?? titleMatch[3]
+        meta = meta.replace(titleMatch[0], '')
+      }
+
+      const diff = takeFlag(meta, 'diff')
+      meta = diff.meta
+      if (diff.value && language && language !== 'diff') {
+        language = `diff-${language}`
+      }
+
+      const collapse = takeFlag(meta, 'collapse')
+      meta = collapse.meta
+      if (collapse.value !== undefined) {
+        node.data = node.data || {}
+        node.data.hProperties = { ...node.data.hProperties, dataCollapse: String(collapse.value) }
+      }
+
+      node.lang = language || null
+      node.meta = meta.trim() || null
+
       if (!title) {
         return
       }
@@ -27,6 +74,5 @@ export default function remarkCodeTitles() {
       }
 
       parent.children.splice(index, 0, titleNode)
-      node.lang = language
     })
 }
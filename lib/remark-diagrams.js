@@ -0,0 +1,61 @@
+import { visit } from 'unist-util-visit'
+import { languages, renderDiagrams } from './diagrams'
+import reportProblems from './utils/reportProblems'
+
+const titlePattern = /(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/
+
+const attribute = (name, value) => ({ type: 'mdxJsxAttribute', name, value })
+
+/**
+ * Replaces ```` ```mermaid ```` and ```` ```dot ```` blocks with the diagrams rendered to svg,
+ * see components/Diagram.js. `title="..."` is the caption and accessible name of a diagram.
+ * Diagrams that cannot be rendered where the site is built are left as code blocks, with a
+ * warning, and their lines are collected into `skipped`.
+ *
+ * @param {{ fileName: string, reported?: object[], skipped?: number[] }} options
+ */
+export default function remarkDiagrams(options) {
+  return async (tree) => {
+    const blocks = []
+    visit(tree, 'code', (node, index, parent) => {
+      if (languages.includes(node.lang)) {
+        blocks.push({ node, index, parent })
+      }
+    })
+    if (blocks.length === 0) {
+      return
+    }
+
+    const problems = []
+    const diagrams = await renderDiagrams(
+      blocks.map(({ node }) => ({ language: node.lang, source: node.value }))
+    )
+    blocks.forEach(({ node, index, parent }, i) => {
+      const { light, dark, error, skipped } = diagrams[i]
+      const line = node.position ? node.position.start.line : 0
+      if (error) {
+        problems.push(`line ${line}: ${error}`)
+        return
+      }
+      if (skipped) {
+        console.warn(`Diagram in ${options.fileName} line ${line} is shown as code, ${skipped}`)
+        if (options.skipped) {
+          options.skipped.push(line)
+        }
+        return
+      }
+      const title = titlePattern.exec(node.meta || '')
+      parent.children[index] = {
+        type: 'mdxJsxFlowElement',
+        name: 'Diagram',
+        attributes: [
+          attribute('light', light),
+          attribute('dark', dark),
+          ...(title ? [attribute('title', title[1] ?? title[2] ?? title[3])] : []),
+        ],
+        children: [],
+      }
+    })
+    reportProblems(`Invalid diagrams in ${options.fileName}:`, problems, options.reported)
+  }
+}
@@ -0,0 +1,191 @@
+import { visit } from 'unist-util-visit'
+import {
+  buildASTSchema,
+  isExecutableDefinitionNode,
+  Kind,
+  NoUnusedFragmentsRule,
+  parse,
+  specifiedRules,
+  TypeInfo,
+  validate,
+  validateSchema,
+  visit as visitDocument,
+  visitWithTypeInfo,
+} from 'graphql'
+import reportProblems from './utils/reportProblems'
+
+// A snippet can show a fragment without the query that spreads it
+const rules = specifiedRules.filter((rule) => rule !== NoUnusedFragmentsRule)
+
+const isGraphQL = (node) => ['graphql', 'gql'].includes(node.lang)
+
+/**
+ * Removes a flag from the meta of a code block
+ *
+ * @returns {boolean} whether the flag was set
+ */
+const takeFlag = (node, name) => {
+  const pattern = new RegExp(`(^|\\s)${name}(?=\\s|$)`)
+  const meta = node.meta || ''
+  if (!pattern.test(meta)) {
+    return false
+  }
+  node.meta = meta.replace(pattern, '').trim() || null
+  return true
+}
+
+const hover = (nameNode, text) => ({
+  line: nameNode.loc.startToken.line - 1,
+  character: nameNode.loc.startToken.column - 1,
+  length: nameNode.loc.end - nameNode.loc.start,
+  text,
+})
+
+const describe = (signature, description) =>
+  description ? `${signature}\n\n${description}` : signature
+
+/**
+ * Types of the fields and arguments of a query, shown on hover
+ */
+const getHovers = (schema, document) => {
+  const hovers = []
+  const typeInfo = new TypeInfo(schema)
+  visitDocument(
+    document,
+    visitWithTypeInfo(typeInfo, {
+      Field(node) {
+        const field = typeInfo.getFieldDef()
+        const parent = typeInfo.getParentType()
+        if (field && parent) {
+          hovers.push(
+            hover(
+              node.name,
+              describe(`${parent.name}.${field.name}: ${field.type}`, field.description)
+            )
+          )
+        }
+      },
+      Argument(node) {
+        const argument = typeInfo.getArgument()
+        if (argument) {
+          hovers.push(
+            hover(node.name, describe(`${argument.name}: ${argument.type}`, argument.description))
+          )
+        }
+      },
+    })
+  )
+  return hovers
+}
+
+/**
+ * Validates the ```` ```graphql ```` queries of a post against the schema of the post and
+ * shows the types of fields and arguments on hover, rendered by rehype-twoslash.
+ *
+ * The schema is the `.graphql` file next to the post, and the code blocks marked with
+ * ```` ```graphql schema ````. Posts without a schema are not checked. Blocks with type
+ * definitions only are parts of a schema shown as an example and are not validated either.
+ * Fragments defined in the schema can be spread by every query of the post without being shown.
+ * Queries that are wrong on purpose are marked with ```` ```graphql invalid ````, their errors
+ * are shown below them.
+ *
+ * @param {{ fileName: string, schema?: string, reported?: object[] }} options schema is the
+ *  source of the schema file
+ */
+export default function remarkGraphql(options) {
+  return (tree) => {
+    const snippets = []
+    const schemaSources = options.schema ? [options.schema] : []
+    visit(tree, 'code', (node) => {
+      if (!isGraphQL(node)) {
+        return
+      }
+      if (takeFlag(node, 'schema')) {
+        schemaSources.push(node.value)
+      } else {
+        snippets.push({ node, invalid: takeFlag(node, 'invalid') })
+      }
+    })
+
+    if (schemaSources.length === 0) {
+      return
+    }
+
+    const problems = []
+    let schema
+    let fragments = []
+    try {
+      const { definitions } = parse(schemaSources.join('\n'))
+      fragments = definitions.filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      schema = buildASTSchema({
+        kind: Kind.DOCUMENT,
+        definitions: definitions.filter((definition) => !isExecutableDefinitionNode(definition)),
+      })
+      problems.push(...validateSchema(schema).map((error) => `schema: ${error.message}`))
+      if (problems.length === 0) {
+        problems.push(
+          ...validate(schema, { kind: Kind.DOCUMENT, definitions: fragments }, rules).map(
+            (error) => `schema: ${error.message}`
+          )
+        )
+      }
+    } catch (error) {
+      problems.push(`schema: ${error.message}`)
+    }
+    if (problems.length > 0) {
+      reportProblems(`Invalid GraphQL schema for ${options.fileName}:`, problems, options.reported)
+      return
+    }
+
+    snippets.forEach(({ node, invalid }) => {
+      const fenceLine = node.position ? node.position.start.line : 0
+      let document
+      let errors
+      try {
+        document = parse(node.value)
+        if (!document.definitions.every(isExecutableDefinitionNode)) {
+          return
+        }
+        const own = document.definitions.map((definition) => definition.name?.value)
+        errors = validate(
+          schema,
+          {
+            ...document,
+            definitions: [
+              ...document.definitions,
+              ...fragments.filter((fragment) => !own.includes(fragment.name.value)),
+            ],
+          },
+          rules
+        )
+      } catch (error) {
+        errors = [error]
+      }
+
+      if (invalid && errors.length === 0) {
+        problems.push(`line ${fenceLine}: the query is marked as invalid, but it is valid`)
+      }
+      if (!invalid) {
+        errors.forEach((error) => {
+          const line = error.locations ? fenceLine + error.locations[0].line : fenceLine
+          problems.push(`line ${line}: ${error.message}`)
+        })
+      }
+
+      node.data = node.data || {}
+      node.data.hProperties = {
+        ...node.data.hProperties,
+        dataTwoslash: JSON.stringify({
+          hovers: document ? getHovers(schema, document) : [],
+          queries: [],
+          errors: errors.map((error) => ({
+            line: error.locations ? error.locations[0].line - 1 : 0,
+            text: error.message,
+          })),
+        }),
+      }
+    })
+
+    reportProblems(`Invalid GraphQL in ${options.fileName}:`, problems, options.reported)
+  }
+}
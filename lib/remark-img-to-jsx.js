@@ -1,35 +1,86 @@
-import { visit } from 'unist-util-visit'
-import sizeOf from 'image-size'
-import fs from 'fs'
+import { SKIP, visit } from 'unist-util-visit'
 
-export default function remarkImgToJsx() {
-  return (tree) => {
-    visit(
-      tree,
-      // only visit p tags that contain an img element
-      (node) => node.type === 'paragraph' && node.children.some((n) => n.type === 'image'),
-      (node) => {
-        const imageNode = node.children.find((n) => n.type === 'image')
+const attribute = (name, value) => ({ type: 'mdxJsxAttribute', name, value: String(value) })
 
-        // only local files
-        if (fs.existsSync(`${process.cwd()}/public${imageNode.url}`)) {
-          const dimensions = sizeOf(`${process.cwd()}/public${imageNode.url}`)
+/**
+ * Converts the images optimized by lib/images.js to components/Image.js, wherever they are in
+ * a post, like in links and lists. Other images are left as they are. Images that are not
+ * links can be zoomed.
+ *
+ * An image in a paragraph of its own is a block, and its title becomes a caption:
+ *
+ * ```md
+ * ![Dashboard](/static/images/dashboard.png 'The dashboard after the migration')
+ * ```
+ *
+ * @param {{ images: Record<string, import('./images').ImageData> }} options
+ */
+export default function remarkImgToJsx(options) {
+  return (tree) => {
+    // Clicking a linked image follows the link, the others zoom
+    const linked = new Set()
+    visit(tree, ['link', 'linkReference'], (node) => {
+      visit(node, 'image', (image) => {
+        linked.add(image)
+      })
+    })
 
-          // Convert original node to next/image
-          ;(imageNode.type = 'mdxJsxFlowElement'),
-            (imageNode.name = 'Image'),
-            (imageNode.attributes = [
-              { type: 'mdxJsxAttribute', name: 'alt', value: imageNode.alt },
-              { type: 'mdxJsxAttribute', name: 'src', value: imageNode.url },
-              { type: 'mdxJsxAttribute', name: 'width', value: dimensions.width },
-              { type: 'mdxJsxAttribute', name: 'height', value: dimensions.height },
-            ])
+    visit(tree, 'image', (node, index, parent) => {
+      const image = options.images[node.url]
+      if (!image) {
+        return
+      }
+      parent.children[index] = {
+        type: 'mdxJsxTextElement',
+        name: 'Image',
+        attributes: [
+          attribute('alt', node.alt ?? ''),
+          attribute('src', image.src),
+          attribute('width', image.width),
+          attribute('height', image.height),
+          ...(image.blurDataURL ? [attribute('blurDataURL', image.blurDataURL)] : []),
+          ...(image.srcSets.avif ? [attribute('avifSrcSet', image.srcSets.avif)] : []),
+          ...(image.srcSets.webp ? [attribute('webpSrcSet', image.srcSets.webp)] : []),
+          ...(image.srcSets.fallback ? [attribute('srcSet', image.srcSets.fallback)] : []),
+          ...(node.title ? [attribute('title', node.title)] : []),
+          ...(linked.has(node) ? [] : [attribute('zoom', true)]),
+        ],
+        children: [],
+      }
+    })
 
-          // Change node type from p to div to avoid nesting error
-          node.type = 'div'
-          node.children = [imageNode]
-        }
+    visit(tree, 'paragraph', (node, index, parent) => {
+      const children = node.children.filter(
+        (child) => !(child.type === 'text' && child.value.trim() === '')
+      )
+      if (children.length !== 1 || children[0].name !== 'Image') {
+        return
+      }
+      const image = { ...children[0], type: 'mdxJsxFlowElement' }
+      const title = image.attributes.find((a) => a.name === 'title')
+      if (!title) {
+        parent.children[index] = image
+        return SKIP
+      }
+      // The caption of the figure, for a components/Lightbox.js
+      title.name = 'caption'
+      parent.children[index] = {
+        type: 'mdxJsxFlowElement',
+        name: 'figure',
+        attributes: [],
+        children: [
+          image,
+          {
+            type: 'mdxJsxFlowElement',
+            name: 'figcaption',
+            attributes: [],
+            children: [{ type: 'text', value: title.value }],
+            data: { _xdmExplicitJsx: true },
+          },
+        ],
+        data: { _xdmExplicitJsx: true },
       }
-    )
+      return SKIP
+    })
   }
 }
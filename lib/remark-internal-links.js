@@ -0,0 +1,156 @@
+import { visit } from 'unist-util-visit'
+import { fromMarkdown } from 'mdast-util-from-markdown'
+import crypto from 'crypto'
+import fs from 'fs'
+import matter from 'gray-matter'
+import path from 'path'
+import siteMetadata from '@/data/siteMetadata'
+import { getContentIndex, isPublished } from './content-index'
+import { feedFiles } from './feeds'
+import { getHeadings } from './remark-toc-headings.mjs'
+import { getRoutes } from './routes'
+import reportProblems from './utils/reportProblems'
+
+const root = process.cwd()
+
+let memo = null
+
+/**
+ * Ids of every heading, as remark-toc-headings sets them
+ *
+ * @param {import('mdast').Root} tree
+ * @returns {string[]}
+ */
+export function getHeadingSlugs(tree) {
+  return getHeadings(tree).map(({ id }) => id)
+}
+
+/**
+ * Routes and heading anchors of every published post that links can point to. Memoized
+ * until the content index changes or a scheduled post gets published.
+ *
+ * @returns {{ signature: string, routes: Set<string>, anchors: Object<string, string[]> }}
+ */
+export function getLinkTargets() {
+  const { signature, nextPublishAt, entries } = getContentIndex('blog')
+  const key = `${signature}|${nextPublishAt}`
+  if (memo && memo.key === key) {
+    return memo
+  }
+
+  const routes = getRoutes()
+  const anchors = {}
+  entries
+    .filter((entry) => isPublished(entry))
+    .forEach((entry) => {
+      const { content } = matter(fs.readFileSync(entry.filePath, 'utf8'))
+      anchors[`/${entry.slug}`] = getHeadingSlugs(fromMarkdown(content))
+    })
+
+  memo = {
+    key,
+    signature: crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ routes, anchors }))
+      .digest('hex'),
+    routes: new Set(routes),
+    anchors,
+  }
+  return memo
+}
+
+const siteOrigin = new URL(siteMetadata.siteUrl).host
+
+/**
+ * @param {string} url
+ * @returns {{ pathname: string, hash: string, absolute: boolean } | null} null for external urls
+ */
+const parseInternalUrl = (url) => {
+  if (url.startsWith('#')) {
+    return { pathname: '', hash: url.slice(1), absolute: false }
+  }
+  let parsed
+  try {
+    parsed = new URL(url, siteMetadata.siteUrl)
+  } catch (e) {
+    return null
+  }
+  const absolute = !url.startsWith('/')
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.host !== siteOrigin) {
+    return null
+  }
+  return {
+    // Posts link to each other with a trailing slash, next.js routes have none
+    pathname: decodeURIComponent(parsed.pathname).replace(/(.)\/$/, '$1'),
+    hash: decodeURIComponent(parsed.hash.slice(1)),
+    absolute,
+  }
+}
+
+const isPublicFile = (pathname) => {
+  const file = path.join(root, 'public', pathname)
+  return file.startsWith(path.join(root, 'public')) && fs.existsSync(file)
+}
+
+// Feeds are written after the build by scripts/generate-feeds.js, the site, every tag and
+// every series has them
+const isFeed = (pathname, routes) => {
+  const file = Object.values(feedFiles).find((name) => pathname.endsWith(`/${name}`))
+  if (!file) {
+    return false
+  }
+  const listing = pathname.slice(0, -file.length - 1)
+  return listing === '' || routes.has(listing)
+}
+
+/**
+ * Checks that links to pages of this site, and the `#fragment` of links to posts, resolve.
+ * Dead links fail the production build and are reported as warnings in development.
+ *
+ * @param {{
+ *  fileName: string,
+ *  rewriteAbsoluteUrls?: boolean,
+ *  reported?: object[],
+ *  publicFiles?: string[],
+ * }} options fileName is used in the report, rewriteAbsoluteUrls turns links like
+ *  https://boopathi.blog/post into /post so that they are navigated client side. The files
+ *  of public/ that links resolve to are collected into publicFiles, lib/mdx.js recompiles the
+ *  post when one of them is removed.
+ */
+export default function remarkInternalLinks(options) {
+  return (tree) => {
+    const { routes, anchors } = getLinkTargets()
+    const ownAnchors = getHeadingSlugs(tree)
+    const problems = []
+
+    visit(tree, ['link', 'definition'], (node) => {
+      const target = parseInternalUrl(node.url)
+      if (!target) {
+        return
+      }
+
+      const { pathname, hash, absolute } = target
+      const line = node.position ? `line ${node.position.start.line}: ` : ''
+      if (pathname && !routes.has(pathname) && !isFeed(pathname, routes)) {
+        if (!isPublicFile(pathname)) {
+          problems.push(`${line}${node.url} does not match any page`)
+          return
+        }
+        if (options.publicFiles) {
+          options.publicFiles.push(pathname)
+        }
+      }
+
+      const targetAnchors = pathname ? anchors[pathname] : ownAnchors
+      if (hash && targetAnchors && !targetAnchors.includes(hash)) {
+        problems.push(`${line}${node.url} does not match any heading in ${pathname || 'this post'}`)
+      }
+
+      if (absolute && options.rewriteAbsoluteUrls) {
+        node.url = `${pathname}${hash ? `#${hash}` : ''}`
+      }
+    })
+
+    reportProblems(`Dead internal links in ${options.fileName}:`, problems, options.reported)
+  }
+}
@@ -0,0 +1,51 @@
+import { visit } from 'unist-util-visit'
+import reportProblems from './utils/reportProblems'
+
+const languages = ['js', 'javascript', 'mjs']
+const runPattern = /(^|\s)run(?=\s|$)/
+const modulePattern = /(^|\s)module=([\w@/.-]+)(?=\s|$)/
+
+/**
+ * Makes ```` ```js run ```` blocks runnable, see components/CodeRunner.js. Blocks marked with
+ * ```` ```js module=timer ```` declare modules that the runnable blocks of the post can import,
+ * `import { getRemainingSeconds } from 'timer'`.
+ *
+ * @param {{ fileName: string, reported?: object[] }} options
+ */
+export default function remarkRunnableCode(options) {
+  return (tree) => {
+    const modules = {}
+    const runnable = []
+    const problems = []
+    visit(tree, 'code', (node) => {
+      if (!languages.includes(node.lang)) {
+        return
+      }
+      let meta = node.meta || ''
+      const declaration = modulePattern.exec(meta)
+      if (declaration) {
+        if (Object.prototype.hasOwnProperty.call(modules, declaration[2])) {
+          const line = node.position ? node.position.start.line : 0
+          problems.push(`line ${line}: module ${declaration[2]} is declared twice`)
+        }
+        modules[declaration[2]] = node.value
+        meta = meta.replace(declaration[0], '')
+      }
+      if (runPattern.test(meta)) {
+        runnable.push(node)
+        meta = meta.replace(runPattern, '')
+      }
+      node.meta = meta.trim() || null
+    })
+
+    runnable.forEach((node) => {
+      node.data = node.data || {}
+      node.data.hProperties = {
+        ...node.data.hProperties,
+        dataRun: 'true',
+        dataModules: JSON.stringify(modules),
+      }
+    })
+    reportProblems(`Invalid runnable code in ${options.fileName}:`, problems, options.reported)
+  }
+}
@@ -0,0 +1,69 @@
+// An ES module so that lib/search-index.mjs can import it in node, the ids of the headings in
+// the search index are the ones of the rendered posts
+import { visit } from 'unist-util-visit'
+import GithubSlugger from 'github-slugger'
+import { toString } from 'mdast-util-to-string'
+
+/**
+ * @typedef TocHeading
+ * @prop {string} value
+ * @prop {number} depth
+ * @prop {string} url
+ * @prop {TocHeading[]} children headings of a greater depth up to the next heading of the
+ *  same or a lower depth
+ */
+
+/**
+ * Every heading of a document with its id. One slugger is used for the whole document, so
+ * headings with the same text get `-1`, `-2`, ... suffixes.
+ *
+ * @param {import('mdast').Root} tree
+ * @returns {{ node: import('mdast').Heading, value: string, id: string, depth: number }[]}
+ */
+export function getHeadings(tree) {
+  const slugger = new GithubSlugger()
+  const headings = []
+  visit(tree, 'heading', (node) => {
+    const value = toString(node)
+    headings.push({ node, value, id: slugger.slug(value), depth: node.depth })
+  })
+  return headings
+}
+
+/**
+ * Nests every heading under the closest preceding heading of a lower depth
+ *
+ * @param {{ value: string, id: string, depth: number }[]} headings
+ * @returns {TocHeading[]}
+ */
+const toTree = (headings) => {
+  const root = { depth: 0, children: [] }
+  const stack = [root]
+  headings.forEach(({ value, id, depth }) => {
+    while (stack[stack.length - 1].depth >= depth) {
+      stack.pop()
+    }
+    const heading = { value, url: `#${id}`, depth, children: [] }
+    stack[stack.length - 1].children.push(heading)
+    stack.push(heading)
+  })
+  return root.children
+}
+
+/**
+ * Collects the table of contents into `options.exportRef` and sets the id of every heading.
+ * rehype-slug skips headings that already have an id, so the toc, the rendered ids and the
+ * anchors checked by remark-internal-links all come from the same slugger.
+ *
+ * @param {{ exportRef: TocHeading[] }} options
+ */
+export default function remarkTocHeadings(options) {
+  return (tree) => {
+    const headings = getHeadings(tree)
+    headings.forEach(({ node, id }) => {
+      node.data = node.data || {}
+      node.data.hProperties = { ...node.data.hProperties, id }
+    })
+    options.exportRef.push(...toTree(headings))
+  }
+}
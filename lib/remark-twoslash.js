@@ -0,0 +1,192 @@
+import { visit } from 'unist-util-visit'
+import path from 'path'
+import ts from 'typescript'
+import reportProblems from './utils/reportProblems'
+
+const root = process.cwd()
+
+const compilerOptions = {
+  strict: true,
+  noEmit: true,
+  skipLibCheck: true,
+  target: ts.ScriptTarget.ES2020,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.NodeJs,
+  jsx: ts.JsxEmit.Preserve,
+  lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+}
+
+// Parsed lib files are shared by the language services of all snippets. Every snippet is a
+// new version of the same file, so that the registry does not return an earlier snippet.
+const documentRegistry = ts.createDocumentRegistry()
+let snippetVersion = 0
+
+const errorsPattern = /^\s*\/\/\s*@errors:\s*([\d\s,]+)$/
+const noErrorsPattern = /^\s*\/\/\s*@noErrors\s*$/
+const cutPattern = /^\s*\/\/\s*---cut---\s*$/
+const queryPattern = /^(\s*)\/\/\s*\^\?\s*$/
+
+/**
+ * @typedef TwoslashResult
+ * @prop {string} code the code to show, without twoslash comments and the code above `---cut---`
+ * @prop {{ line: number, character: number, length: number, text: string }[]} hovers
+ * @prop {{ line: number, character: number, text: string }[]} queries
+ * @prop {{ line: number, text: string }[]} errors expected errors
+ * @prop {{ line: number, text: string }[]} problems unexpected errors, the line is the line of
+ *  the original snippet
+ */
+
+/**
+ * @param {string} source
+ * @param {string} extension ts or tsx
+ * @returns {TwoslashResult}
+ */
+const runTwoslash = (source, extension) => {
+  const fileName = path.join(root, `twoslash-snippet.${extension}`)
+  const version = String(++snippetVersion)
+  const service = ts.createLanguageService(
+    {
+      getScriptFileNames: () => [fileName],
+      getScriptVersion: (name) => (name === fileName ? version : '1'),
+      getScriptSnapshot: (name) => {
+        if (name === fileName) {
+          return ts.ScriptSnapshot.fromString(source)
+        }
+        return ts.sys.fileExists(name)
+          ? ts.ScriptSnapshot.fromString(ts.sys.readFile(name))
+          : undefined
+      },
+      getCurrentDirectory: () => root,
+      getCompilationSettings: () => compilerOptions,
+      getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+      fileExists: ts.sys.fileExists,
+      readFile: ts.sys.readFile,
+      readDirectory: ts.sys.readDirectory,
+      directoryExists: ts.sys.directoryExists,
+      getDirectories: ts.sys.getDirectories,
+    },
+    documentRegistry
+  )
+  const sourceFile = service.getProgram().getSourceFile(fileName)
+
+  const lines = source.split('\n')
+  const cut = lines.findIndex((line) => cutPattern.test(line))
+  let expectedErrors = []
+  let noErrors = false
+
+  // Original line of every shown line
+  const shown = []
+  const queries = []
+  lines.forEach((line, i) => {
+    const errors = errorsPattern.exec(line)
+    const query = queryPattern.exec(line)
+    if (errors) {
+      expectedErrors = errors[1]
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number)
+    } else if (noErrorsPattern.test(line)) {
+      noErrors = true
+    } else if (query) {
+      queries.push({ target: i - 1, character: line.indexOf('^') })
+    } else if (i > cut) {
+      shown.push(i)
+    }
+  })
+  const shownLine = (line) => shown.indexOf(line)
+
+  const toLineCharacter = (position) => sourceFile.getLineAndCharacterOfPosition(position)
+  const quickInfo = (position) => {
+    const info = service.getQuickInfoAtPosition(fileName, position)
+    return info ? ts.displayPartsToString(info.displayParts) : null
+  }
+
+  const hovers = []
+  const visitNode = (node) => {
+    if (ts.isIdentifier(node)) {
+      const { line, character } = toLineCharacter(node.getStart(sourceFile))
+      const text = shownLine(line) !== -1 && quickInfo(node.getStart(sourceFile))
+      if (text) {
+        hovers.push({ line: shownLine(line), character, length: node.getWidth(sourceFile), text })
+      }
+    }
+    ts.forEachChild(node, visitNode)
+  }
+  visitNode(sourceFile)
+
+  const problems = []
+  const errors = []
+  const diagnostics = [
+    ...service.getSyntacticDiagnostics(fileName),
+    ...service.getSemanticDiagnostics(fileName),
+  ]
+  diagnostics.forEach((diagnostic) => {
+    const { line } = toLineCharacter(diagnostic.start || 0)
+    const text = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+    if (noErrors) {
+      return
+    }
+    if (expectedErrors.includes(diagnostic.code)) {
+      errors.push({ line: shownLine(line), text: `error TS${diagnostic.code}: ${text}` })
+    } else {
+      problems.push({ line, text: `error TS${diagnostic.code}: ${text}` })
+    }
+  })
+  expectedErrors
+    .filter((code) => !diagnostics.some((diagnostic) => diagnostic.code === code))
+    .forEach((code) => problems.push({ line: 0, text: `expected error TS${code} did not occur` }))
+
+  return {
+    code: shown.map((line) => lines[line]).join('\n'),
+    hovers,
+    queries: queries.map(({ target, character }) => ({
+      line: shownLine(target),
+      character,
+      text: quickInfo(sourceFile.getPositionOfLineAndCharacter(target, character)) || 'any',
+    })),
+    errors,
+    problems,
+  }
+}
+
+/**
+ * Compiles ```` ```ts twoslash ```` blocks with the TypeScript compiler, like
+ * https://www.typescriptlang.org/dev/twoslash/ does. The types of identifiers are shown on
+ * hover and `// ^?` comments show the type of what the caret points at. A snippet has to
+ * compile, unless the errors are listed with `// @errors: 2322` or hidden with `// @noErrors`.
+ * Lines above `// ---cut---` are compiled but not shown.
+ *
+ * The result is passed on to rehype-twoslash as a data-twoslash attribute of the code.
+ *
+ * @param {{ fileName: string, reported?: object[] }} options
+ */
+export default function remarkTwoslash(options) {
+  return (tree) => {
+    const problems = []
+    visit(tree, 'code', (node) => {
+      const meta = node.meta || ''
+      if (!['ts', 'tsx', 'typescript'].includes(node.lang) || !/(^|\s)twoslash(\s|$)/.test(meta)) {
+        return
+      }
+
+      const result = runTwoslash(node.value, node.lang === 'tsx' ? 'tsx' : 'ts')
+      const fenceLine = node.position ? node.position.start.line : 0
+      problems.push(
+        ...result.problems.map(({ line, text }) => `line ${fenceLine + 1 + line}: ${text}`)
+      )
+
+      node.value = result.code
+      node.meta = meta.replace(/(^|\s)twoslash(?=\s|$)/, '').trim() || null
+      node.data = node.data || {}
+      node.data.hProperties = {
+        ...node.data.hProperties,
+        dataTwoslash: JSON.stringify({
+          hovers: result.hovers,
+          queries: result.queries,
+          errors: result.errors,
+        }),
+      }
+    })
+    reportProblems(`Type errors in ${options.fileName}:`, problems, options.reported)
+  }
+}
@@ -0,0 +1,32 @@
+import { visit } from 'unist-util-visit'
+
+/**
+ * @typedef Video
+ * @prop {string} id youtube video id
+ * @prop {string|null} title
+ */
+
+/**
+ * Collects the `<YoutubeEmbed id="…" title="…" />` of a post into `options.exportRef`, for the
+ * VideoObject of its structured data, see lib/structured-data.js. Only props written as
+ * strings are known at compile time.
+ *
+ * @param {{ exportRef: Video[] }} options
+ */
+export default function remarkVideos(options) {
+  return (tree) => {
+    visit(tree, ['mdxJsxFlowElement', 'mdxJsxTextElement'], (node) => {
+      if (node.name !== 'YoutubeEmbed') {
+        return
+      }
+      const props = Object.fromEntries(
+        node.attributes
+          .filter((a) => a.type === 'mdxJsxAttribute' && typeof a.value === 'string')
+          .map((a) => [a.name, a.value])
+      )
+      if (props.id) {
+        options.exportRef.push({ id: props.id, title: props.title || null })
+      }
+    })
+  }
+}
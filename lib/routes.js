@@ -0,0 +1,48 @@
+// CommonJS so that the node scripts in scripts/ can share it with the next.js pages
+const path = require('path')
+const getAllFilesRecursively = require('./utils/files')
+const { getContentIndex, isPublished } = require('./content-index')
+
+const root = process.cwd()
+
+const POSTS_PER_PAGE = 7
+
+// Pages that are not routes of their own, dynamic routes are resolved from the content index
+const isStaticPage = (page) =>
+  !page.startsWith('api/') &&
+  !page.includes('[') &&
+  !path.basename(page).startsWith('_') &&
+  !['404', '500'].includes(path.parse(page).name)
+
+const getStaticPages = () => {
+  const pagesDir = path.join(root, 'pages')
+  return getAllFilesRecursively(pagesDir)
+    .map((file) => file.slice(pagesDir.length + 1).replace(/\\/g, '/'))
+    .filter((page) => /\.(js|jsx|tsx)$/.test(page) && isStaticPage(page))
+    .map((page) => `/${page.replace(/\.(js|jsx|tsx)$/, '')}`.replace(/\/index$/, '') || '/')
+}
+
+/**
+ * Every path the site serves a page for, drafts and scheduled posts excluded. /page/1 is left
+ * out, it lists the posts of the home page and has it as its canonical url.
+ *
+ * @returns {string[]}
+ */
+const getRoutes = () => {
+  const { entries, tags, series } = getContentIndex('blog')
+  const posts = entries.filter((entry) => isPublished(entry))
+  const totalPages = Math.ceil(posts.length / POSTS_PER_PAGE)
+
+  return [
+    ...getStaticPages(),
+    ...posts.map((entry) => `/${entry.slug}`),
+    ...Object.keys(tags).map((tag) => `/tags/${tag}`),
+    ...Object.keys(series).map((slug) => `/series/${slug}`),
+    ...Array.from({ length: Math.max(totalPages - 1, 0) }, (_, i) => `/page/${i + 2}`),
+  ]
+}
+
+module.exports = {
+  POSTS_PER_PAGE,
+  getRoutes,
+}
@@ -0,0 +1,157 @@
+// An ES module with the extensions of its imports, so that node can run it in
+// scripts/generate-search-index.js, the remark packages it uses are ES modules only
+import fs from 'fs'
+import path from 'path'
+import matter from 'gray-matter'
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkMdx from 'remark-mdx'
+import remarkGfm from 'remark-gfm'
+import remarkDirective from 'remark-directive'
+import remarkMath from 'remark-math'
+import { toString } from 'mdast-util-to-string'
+import { SKIP, visit } from 'unist-util-visit'
+import siteMetadata from '../data/siteMetadata.js'
+import { getContentIndex, isPublished } from './content-index.js'
+import { getHeadings } from './remark-toc-headings.mjs'
+import { escape } from './utils/htmlEscaper.js'
+import tokenize from './utils/tokenize.js'
+
+const root = process.cwd()
+
+/**
+ * @typedef SearchIndex
+ * @prop {[slug: string, title: string, date: string][]} posts
+ * @prop {[post: number, anchor: string, heading: string, text: string][]} sections the text
+ *  before the first heading of a post is a section without anchor and heading
+ * @prop {Object<string, number[]>} terms flat [section, count, section, count, ...] list of the
+ *  sections every word occurs in. Words of headings and titles count more.
+ */
+
+const HEADING_WEIGHT = 5
+
+// The syntax of the posts as lib/mdx.js compiles them
+const parser = unified()
+  .use(remarkParse)
+  .use(remarkMdx)
+  .use(remarkGfm)
+  .use(remarkDirective)
+  .use(remarkMath)
+
+// Not part of the text a reader sees: code blocks, which are highlighted or drawn as diagrams,
+// math, html and the javascript of mdx expressions and imports. JSX elements are read as the
+// text inside them, their props are left out.
+const hiddenTypes = [
+  'code',
+  'math',
+  'inlineMath',
+  'html',
+  'mdxFlowExpression',
+  'mdxTextExpression',
+  'mdxjsEsm',
+]
+
+/**
+ * Splits a post into one section per heading, with the plain text as it is rendered
+ */
+const getSections = (content) => {
+  const tree = parser.parse(content)
+  visit(tree, (node, index, parent) => {
+    if (hiddenTypes.includes(node.type)) {
+      parent.children.splice(index, 1)
+      return index
+    }
+    // Callouts are read as the text inside them, other directives are prose, see remark-callouts
+    if (node.type === 'textDirective' || node.type === 'leafDirective') {
+      parent.children[index] = {
+        type: 'text',
+        value: content.slice(node.position.start.offset, node.position.end.offset),
+      }
+      return SKIP
+    }
+  })
+
+  const headings = new Map(getHeadings(tree).map((heading) => [heading.node, heading]))
+  const sections = [{ anchor: '', heading: '', text: [] }]
+  tree.children.forEach((node) => {
+    if (headings.has(node)) {
+      const { id, value } = headings.get(node)
+      sections.push({ anchor: id, heading: value, text: [] })
+    } else {
+      sections[sections.length - 1].text.push(toString(node))
+    }
+  })
+  return sections
+    .map((section) => ({ ...section, text: section.text.join(' ').replace(/\s+/g, ' ').trim() }))
+    .filter((section) => section.heading || section.text)
+}
+
+/**
+ * @param {string} type
+ * @returns {SearchIndex}
+ */
+export function buildSearchIndex(type) {
+  const posts = getContentIndex(type).entries.filter((entry) => isPublished(entry))
+  const index = { posts: [], sections: [], terms: {} }
+  const terms = new Map()
+
+  const addTokens = (sectionId, text, weight) => {
+    const counts = {}
+    tokenize(text).forEach((token) => {
+      counts[token] = (counts[token] || 0) + weight
+    })
+    Object.entries(counts).forEach(([token, count]) => {
+      if (!terms.has(token)) {
+        terms.set(token, [])
+      }
+      const postings = terms.get(token)
+      if (postings[postings.length - 2] === sectionId) {
+        postings[postings.length - 1] += count
+      } else {
+        postings.push(sectionId, count)
+      }
+    })
+  }
+
+  posts.forEach((entry, postId) => {
+    const { title, date } = entry.frontMatter
+    index.posts.push([entry.slug, title, date])
+
+    const { content } = matter(fs.readFileSync(entry.filePath, 'utf8'))
+    getSections(content).forEach(({ anchor, heading, text }, i) => {
+      const sectionId = index.sections.length
+      index.sections.push([postId, anchor, heading, text])
+      addTokens(sectionId, i === 0 ? `${title} ${heading}` : heading, HEADING_WEIGHT)
+      addTokens(sectionId, text, 1)
+    })
+  })
+
+  index.terms = Object.fromEntries(terms)
+  return index
+}
+
+/**
+ * Writes the search index and the OpenSearch description that lets browsers use the site
+ * search to public/
+ *
+ * @param {string} type
+ * @returns {SearchIndex}
+ */
+export function writeSearchIndex(type) {
+  const index = buildSearchIndex(type)
+  fs.writeFileSync(path.join(root, 'public', 'search-index.json'), JSON.stringify(index))
+
+  const opensearch = `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>${escape(new URL(siteMetadata.siteUrl).host)}</ShortName>
+  <Description>${escape(`Search ${siteMetadata.title}`)}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Image width="16" height="16" type="image/png">${
+    siteMetadata.siteUrl
+  }/static/favicons/favicon-16x16.png</Image>
+  <Url type="text/html" method="get" template="${siteMetadata.siteUrl}/search?q={searchTerms}"/>
+</OpenSearchDescription>
+`
+  fs.writeFileSync(path.join(root, 'public', 'opensearch.xml'), opensearch)
+  return index
+}
@@ -0,0 +1,137 @@
+import tokenize from './utils/tokenize'
+
+const SECTIONS_PER_POST = 2
+const SNIPPET_LENGTH = 200
+
+let indexPromise = null
+
+/**
+ * Fetches the index written by `writeSearchIndex` once per page load
+ *
+ * @returns {Promise<import('./search-index.mjs').SearchIndex>}
+ */
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch('/search-index.json').then((res) => {
+      if (!res.ok) {
+        throw new Error(`Could not load the search index: ${res.status}`)
+      }
+      return res.json()
+    })
+    indexPromise.catch(() => {
+      indexPromise = null
+    })
+  }
+  return indexPromise
+}
+
+/**
+ * Words of the index a query word matches. The last word of the query also matches words it
+ * is the beginning of, so that results show up while typing.
+ */
+const expand = (terms, token, isLast) =>
+  isLast
+    ? Object.keys(terms).filter((term) => term.startsWith(token))
+    : Object.prototype.hasOwnProperty.call(terms, token)
+    ? [token]
+    : []
+
+/**
+ * Splits a part of the text around the first match into highlighted and plain parts
+ *
+ * @param {string} text
+ * @param {Set<string>} matches
+ * @returns {{ text: string, match: boolean }[]}
+ */
+const getSnippet = (text, matches) => {
+  let first = -1
+  text.replace(/[a-z0-9]+/gi, (word, offset) => {
+    if (first === -1 && matches.has(word.toLowerCase())) {
+      first = offset
+    }
+    return word
+  })
+
+  let start = Math.max(0, first - SNIPPET_LENGTH / 3)
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH)
+  if (end < text.length) {
+    end = text.lastIndexOf(' ', end)
+  }
+  const snippet = `${start > 0 ? '… ' : ''}${text.slice(start, end)}${
+    end < text.length ? ' …' : ''
+  }`
+
+  const parts = []
+  let last = 0
+  snippet.replace(/[a-z0-9]+/gi, (word, offset) => {
+    if (matches.has(word.toLowerCase())) {
+      parts.push({ text: snippet.slice(last, offset), match: false }, { text: word, match: true })
+      last = offset + word.length
+    }
+    return word
+  })
+  parts.push({ text: snippet.slice(last), match: false })
+  return parts.filter((part) => part.text)
+}
+
+/**
+ * Ranks the sections of every post by tf-idf of the query words. Sections that contain more
+ * of the query words always rank higher, and every post is listed once with its best sections.
+ *
+ * @param {import('./search-index.mjs').SearchIndex} index
+ * @param {string} query
+ * @returns {{ slug: string, title: string, date: string, sections: { anchor: string,
+ *  heading: string, snippet: { text: string, match: boolean }[] }[] }[]}
+ */
+export function search(index, query) {
+  const tokens = [...new Set(tokenize(query))]
+  if (tokens.length === 0) {
+    return []
+  }
+
+  const scores = new Map()
+  const matched = new Map()
+  tokens.forEach((token, i) => {
+    expand(index.terms, token, i === tokens.length - 1).forEach((term) => {
+      const postings = index.terms[term]
+      const idf = Math.log(1 + index.sections.length / (postings.length / 2))
+      for (let p = 0; p < postings.length; p += 2) {
+        const section = postings[p]
+        scores.set(section, (scores.get(section) || 0) + postings[p + 1] * idf)
+        if (!matched.has(section)) {
+          matched.set(section, { tokens: new Set(), terms: new Set() })
+        }
+        matched.get(section).tokens.add(token)
+        matched.get(section).terms.add(term)
+      }
+    })
+  })
+
+  const posts = new Map()
+  ;[...scores]
+    .sort(
+      ([a, scoreA], [b, scoreB]) =>
+        matched.get(b).tokens.size - matched.get(a).tokens.size || scoreB - scoreA
+    )
+    .forEach(([section]) => {
+      const [postId, anchor, heading, text] = index.sections[section]
+      if (!posts.has(postId)) {
+        const [slug, title, date] = index.posts[postId]
+        posts.set(postId, { slug, title, date, sections: [] })
+      }
+      const post = posts.get(postId)
+      if (post.sections.length < SECTIONS_PER_POST) {
+        post.sections.push({
+          anchor,
+          heading,
+          snippet: getSnippet(text, matched.get(section).terms),
+        })
+      }
+    })
+
+  // Sections were added best first, so posts are already ordered by their best section
+  return [...posts.values()]
+}
@@ -0,0 +1,24 @@
+import { getContentIndex } from './content-index'
+
+export async function getAllSeries(type) {
+  return getContentIndex(type).series
+}
+
+/**
+ * @param {string} type
+ * @param {string} seriesSlug kebab-cased series name
+ * @returns {{ slug: string, name: string, posts: object[] } | null} posts are frontmatter
+ *  ordered by seriesOrder
+ */
+export function getSeries(type, seriesSlug) {
+  const { entries, series } = getContentIndex(type)
+  if (!series[seriesSlug]) {
+    return null
+  }
+  const { slug, name, posts } = series[seriesSlug]
+  return {
+    slug,
+    name,
+    posts: posts.map((postSlug) => entries.find((entry) => entry.slug === postSlug).frontMatter),
+  }
+}
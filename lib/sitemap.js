@@ -0,0 +1,132 @@
+// CommonJS so that scripts/generate-sitemap.js can share it with the next.js pages
+const siteMetadata = require('../data/siteMetadata')
+const { getContentIndex, isPublished } = require('./content-index')
+const { POSTS_PER_PAGE, getRoutes } = require('./routes')
+const { getOriginalPublication } = require('./canonical')
+const { escape } = require('./utils/htmlEscaper')
+
+// The limit of the sitemap protocol, larger sitemaps are split and listed in a sitemap index
+const SITEMAP_SIZE = 50000
+
+/**
+ * @typedef SitemapEntry
+ * @prop {string} loc absolute url
+ * @prop {string} [lastmod] ISO date
+ * @prop {string[]} images absolute urls
+ */
+
+const absoluteUrl = (pathname) => new URL(pathname, siteMetadata.siteUrl).href
+
+const updatedAt = (entry) => entry.lastmod || entry.date
+
+const latest = (dates) => dates.filter(Boolean).sort().pop()
+
+const toArray = (value) => (value ? [].concat(value) : [])
+
+/**
+ * An entry for every route of lib/routes.js. Posts are last modified at their `lastmod` or
+ * `date`, listings and pages of the home page when the latest of their posts was.
+ *
+ * @returns {SitemapEntry[]}
+ */
+const getSitemapEntries = () => {
+  const posts = getContentIndex('blog').entries.filter((entry) => isPublished(entry))
+  const lastmods = {
+    '/': latest(posts.map(updatedAt)),
+    ...Object.fromEntries(posts.map((post) => [`/${post.slug}`, updatedAt(post)])),
+  }
+  posts.forEach((post, i) => {
+    const listings = post.tags.map((tag) => `/tags/${tag}`)
+    listings.push(`/page/${Math.floor(i / POSTS_PER_PAGE) + 1}`)
+    if (post.series) {
+      listings.push(`/series/${post.series}`)
+    }
+    listings.forEach((listing) => {
+      lastmods[listing] = latest([lastmods[listing], updatedAt(post)])
+    })
+  })
+  const images = Object.fromEntries(
+    posts.map((post) => [`/${post.slug}`, toArray(post.frontMatter.images).map(absoluteUrl)])
+  )
+
+  // Sitemaps list canonical urls, posts first published on another site are left out
+  const syndicated = posts
+    .filter((post) => getOriginalPublication(post.frontMatter))
+    .map((post) => `/${post.slug}`)
+
+  return getRoutes()
+    .filter((route) => !syndicated.includes(route))
+    .map((route) => ({
+      loc: absoluteUrl(route),
+      ...(lastmods[route] && { lastmod: lastmods[route] }),
+      images: images[route] || [],
+    }))
+}
+
+const generateUrl = ({ loc, lastmod, images }) =>
+  [
+    '<url>',
+    `<loc>${escape(loc)}</loc>`,
+    lastmod && `<lastmod>${lastmod}</lastmod>`,
+    ...images.map((image) => `<image:image><image:loc>${escape(image)}</image:loc></image:image>`),
+    '</url>',
+  ]
+    .filter(Boolean)
+    .join('\n')
+
+const generateUrlset = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...entries.map(generateUrl),
+    '</urlset>',
+  ].join('\n')
+
+const generateSitemapIndex = (sitemaps) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(({ file, lastmod }) =>
+      [
+        '<sitemap>',
+        `<loc>${absoluteUrl(`/${file}`)}</loc>`,
+        lastmod && `<lastmod>${lastmod}</lastmod>`,
+        '</sitemap>',
+      ]
+        .filter(Boolean)
+        .join('\n')
+    ),
+    '</sitemapindex>',
+  ].join('\n')
+
+/**
+ * The sitemap of the site, `sitemap.xml`. With more than SITEMAP_SIZE urls, it is an index of
+ * `sitemap-1.xml`, `sitemap-2.xml` and so on.
+ *
+ * @param {SitemapEntry[]} entries
+ * @returns {Object<string, string>} xml by file name
+ */
+const generateSitemaps = (entries) => {
+  if (entries.length <= SITEMAP_SIZE) {
+    return { 'sitemap.xml': generateUrlset(entries) }
+  }
+  const files = {}
+  const sitemaps = []
+  for (let i = 0; i < entries.length; i += SITEMAP_SIZE) {
+    const chunk = entries.slice(i, i + SITEMAP_SIZE)
+    const file = `sitemap-${sitemaps.length + 1}.xml`
+    files[file] = generateUrlset(chunk)
+    sitemaps.push({ file, lastmod: latest(chunk.map((entry) => entry.lastmod)) })
+  }
+  files['sitemap.xml'] = generateSitemapIndex(sitemaps)
+  return files
+}
+
+const generateRobots = () =>
+  ['User-agent: *', 'Allow: /', '', `Sitemap: ${absoluteUrl('/sitemap.xml')}`, ''].join('\n')
+
+module.exports = {
+  getSitemapEntries,
+  generateSitemaps,
+  generateRobots,
+}
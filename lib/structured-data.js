@@ -0,0 +1,141 @@
+import siteMetadata from '@/data/siteMetadata'
+import kebabCase from './utils/kebabCase'
+
+/**
+ * schema.org objects for the JSON-LD of the pages, rendered by components/SEO.js
+ */
+
+const context = 'https://schema.org'
+
+const absoluteUrl = (pathname) => `${siteMetadata.siteUrl}${pathname}`
+
+/**
+ * @param {{ name: string, url: string }[]} items from the home page to the current page
+ */
+export const getBreadcrumbList = (items) => ({
+  '@context': context,
+  '@type': 'BreadcrumbList',
+  itemListElement: items.map(({ name, url }, i) => ({
+    '@type': 'ListItem',
+    position: i + 1,
+    name,
+    item: url,
+  })),
+})
+
+const home = () => ({ name: siteMetadata.title, url: siteMetadata.siteUrl })
+
+/**
+ * Home, the series of the post or else its first tag, and the post
+ *
+ * @param {{ title: string, tags?: string[] }} frontMatter
+ * @param {{ slug: string, name: string }} [seriesDetails]
+ * @param {string} url of the post
+ */
+export const getPostBreadcrumbs = (frontMatter, seriesDetails, url) => {
+  const [tag] = frontMatter.tags || []
+  const parent = seriesDetails
+    ? { name: seriesDetails.name, url: absoluteUrl(`/series/${seriesDetails.slug}`) }
+    : tag && { name: tag, url: absoluteUrl(`/tags/${kebabCase(tag)}`) }
+  return getBreadcrumbList([home(), ...(parent ? [parent] : []), { name: frontMatter.title, url }])
+}
+
+/**
+ * @param {{ name: string, url: string }[]} items after the home page
+ */
+export const getListingBreadcrumbs = (items) => getBreadcrumbList([home(), ...items])
+
+/**
+ * @param {object} author frontmatter of data/authors
+ * @param {string} [url] of the page of the author
+ */
+export const getPerson = (author, url) => {
+  const sameAs = [author.twitter, author.linkedin, author.github].filter(Boolean)
+  return {
+    '@type': 'Person',
+    name: author.name,
+    ...(url && { url }),
+    ...(author.avatar && { image: absoluteUrl(author.avatar) }),
+    ...(author.occupation && { jobTitle: author.occupation }),
+    ...(author.company && { worksFor: { '@type': 'Organization', name: author.company } }),
+    ...(sameAs.length > 0 && { sameAs }),
+  }
+}
+
+/**
+ * The page of an author, see layouts/AuthorLayout.js
+ *
+ * @param {object} author frontmatter of data/authors
+ * @param {string} url of the page
+ */
+export const getProfilePage = (author, url) => ({
+  '@context': context,
+  '@type': 'ProfilePage',
+  url,
+  mainEntity: getPerson(author, url),
+})
+
+const getBlogPosting = (post) => ({
+  '@type': 'BlogPosting',
+  headline: post.title,
+  url: absoluteUrl(`/${post.slug}`),
+  datePublished: post.date,
+  ...(post.lastmod && { dateModified: post.lastmod }),
+})
+
+/**
+ * The home page and its pages
+ *
+ * @param {object[]} posts frontmatter of the posts listed on the page
+ * @param {string} url of the page
+ */
+export const getBlog = (posts, url) => ({
+  '@context': context,
+  '@type': 'Blog',
+  name: siteMetadata.title,
+  description: siteMetadata.description,
+  url,
+  blogPost: posts.map(getBlogPosting),
+})
+
+/**
+ * The page of a tag or a series
+ *
+ * @param {{ name: string, description: string, url: string, posts: object[] }} listing
+ */
+export const getCollectionPage = ({ name, description, url, posts }) => ({
+  '@context': context,
+  '@type': 'CollectionPage',
+  name,
+  description,
+  url,
+  isPartOf: { '@type': 'Blog', name: siteMetadata.title, url: siteMetadata.siteUrl },
+  mainEntity: {
+    '@type': 'ItemList',
+    itemListElement: posts.map((post, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      url: absoluteUrl(`/${post.slug}`),
+      name: post.title,
+    })),
+  },
+})
+
+/**
+ * A video embedded in a post, built from the props of its `<YoutubeEmbed>` collected by
+ * lib/remark-videos.js. What only YouTube knows, the description and upload date, are the
+ * summary and date of the post.
+ *
+ * @param {import('./remark-videos').Video} video
+ * @param {{ title: string, summary?: string, date: string }} post frontmatter
+ */
+export const getVideoObject = (video, post) => ({
+  '@context': context,
+  '@type': 'VideoObject',
+  name: video.title || post.title,
+  description: post.summary || post.title,
+  thumbnailUrl: [`https://i.ytimg.com/vi/${video.id}/hqdefault.jpg`],
+  uploadDate: post.date,
+  embedUrl: `https://www.youtube.com/embed/${video.id}`,
+  contentUrl: `https://www.youtube.com/watch?v=${video.id}`,
+})
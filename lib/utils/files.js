@@ -1,5 +1,5 @@
-import fs from 'fs'
-import path from 'path'
+const fs = require('fs')
+const path = require('path')
 
 const pipe =
   (...fns) =>
@@ -20,4 +20,4 @@ const pathJoinPrefix = (prefix) => (extraPath) => path.join(prefix, extraPath)
 const getAllFilesRecursively = (folder) =>
   pipe(fs.readdirSync, map(pipe(pathJoinPrefix(folder), walkDir)), flattenArray)(folder)
 
-export default getAllFilesRecursively
+module.exports = getAllFilesRecursively
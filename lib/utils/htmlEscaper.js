@@ -1,3 +1,4 @@
+// CommonJS so that the node scripts in scripts/ can share it with the next.js pages
 const { replace } = ''
 
 // escape
@@ -20,4 +21,6 @@ const pe = (m) => esca[m]
  *  the input type is unexpected, except for boolean and numbers,
  *  converted as string.
  */
-export const escape = (es) => replace.call(es, ca, pe)
+const escape = (es) => replace.call(es, ca, pe)
+
+module.exports = { escape }
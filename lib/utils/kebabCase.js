@@ -1,5 +1,5 @@
-import { slug } from 'github-slugger'
+const { slug } = require('github-slugger')
 
 const kebabCase = (str) => slug(str)
 
-export default kebabCase
+module.exports = kebabCase
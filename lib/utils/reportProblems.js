@@ -0,0 +1,31 @@
+/**
+ * @typedef ReportedProblems
+ * @prop {string} title
+ * @prop {string[]} problems
+ */
+
+/**
+ * Fails the production build when content has problems, in development it only warns
+ * so that a half written post does not take the dev server down.
+ *
+ * @param {string} title what the problems are about, e.g. the file they were found in
+ * @param {string[]} problems
+ * @param {ReportedProblems[]} [reported] collects them, lib/mdx.js caches them with the
+ *  compiled post and reports them again when the cached post is used
+ */
+const reportProblems = (title, problems, reported) => {
+  if (problems.length === 0) {
+    return
+  }
+
+  if (reported) {
+    reported.push({ title, problems })
+  }
+  const message = [title, ...problems.map((problem) => `  - ${problem}`)].join('\n')
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(message)
+  }
+  console.warn(message)
+}
+
+module.exports = reportProblems
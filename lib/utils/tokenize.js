@@ -0,0 +1,27 @@
+// CommonJS so that lib/search-index.mjs can import it in node, lib/search.js splits the
+// queries of the browser with it
+
+// Words that are frequent in every post and say nothing about its topic
+const stopWords = new Set(
+  `about after again also an and any are as at be because been before being between both but
+  by can could did do does doing done down each few for from further had has have having here
+  how if in into is it its just let like more most much need not now of off on once only or
+  other our out over own same should so some such than that the their them then there these
+  they this those through to too under until up use used using very was we were what when
+  where which while who why will with would you your`.split(/\s+/)
+)
+
+/**
+ * Splits text into lowercase words, leaving out stop words and words shorter than 3
+ * characters. Used both at build time and in the browser so that both agree on the words.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 2 && !stopWords.has(token))
+
+module.exports = tokenize
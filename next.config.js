@@ -14,6 +14,13 @@ const ContentSecurityPolicy = `
   frame-src giscus.app youtube.com www.youtube.com;
 `
 
+// The worker of components/CodeRunner.js only loads the snippets of posts, from blob urls
+const CodeRunnerContentSecurityPolicy = `
+  default-src 'none';
+  script-src blob:;
+  connect-src *;
+`
+
 const securityHeaders = [
   // https://developer.mozilla.org/en-US/docs/Web/HTTP/CSP
   {
@@ -65,6 +72,16 @@ module.exports = withBundleAnalyzer({
         source: '/(.*)',
         headers: securityHeaders,
       },
+      // Overrides the policy of the site, the last header with the same key wins
+      {
+        source: '/static/code-runner-worker.js',
+        headers: [
+          {
+            key: 'Content-Security-Policy',
+            value: CodeRunnerContentSecurityPolicy.replace(/\n/g, ''),
+          },
+        ],
+      },
     ]
   },
   webpack: (config, { dev, isServer }) => {
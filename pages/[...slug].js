@@ -1,28 +1,40 @@
-import fs from 'fs'
-import PageTitle from '@/components/PageTitle'
-import generateRss from '@/lib/generate-rss'
+import PreviewBanner from '@/components/PreviewBanner'
 import { MDXLayoutRenderer } from '@/components/MDXComponents'
-import { formatSlug, getAllFilesFrontMatter, getFileBySlug, getFiles } from '@/lib/mdx'
+import { getAllFilesFrontMatter, getFileBySlug } from '@/lib/mdx'
+import { getContentIndex, getEntry, isPublished } from '@/lib/content-index'
+import { getSeries } from '@/lib/series'
+import { getRelatedPosts } from '@/lib/related-posts'
+import kebabCase from '@/lib/utils/kebabCase'
 
 const DEFAULT_LAYOUT = 'PostLayout'
 
 export async function getStaticPaths() {
-  const posts = getFiles('blog')
+  const { entries } = getContentIndex('blog')
   return {
-    paths: posts.map((p) => ({
-      params: {
-        slug: formatSlug(p).split('/'),
-      },
-    })),
-    fallback: false,
+    // Drafts and scheduled posts are only rendered on demand in preview mode, see pages/api/preview.js
+    paths: entries
+      .filter((entry) => isPublished(entry))
+      .map((entry) => ({
+        params: {
+          slug: entry.slug.split('/'),
+        },
+      })),
+    fallback: 'blocking',
   }
 }
 
-export async function getStaticProps({ params }) {
+export async function getStaticProps({ params, preview = false }) {
+  const entry = getEntry('blog', params.slug.join('/'))
+  if (!entry || (!isPublished(entry) && !preview)) {
+    // Not revalidated, a scheduled post goes live with the listings, feeds and sitemap on the
+    // rebuild triggered by scripts/publish-scheduled.js
+    return { notFound: true }
+  }
+
   const allPosts = await getAllFilesFrontMatter('blog')
-  const postIndex = allPosts.findIndex((post) => formatSlug(post.slug) === params.slug.join('/'))
-  const prev = allPosts[postIndex + 1] || null
-  const next = allPosts[postIndex - 1] || null
+  const postIndex = allPosts.findIndex((post) => post.slug === entry.slug)
+  const prev = (postIndex !== -1 && allPosts[postIndex + 1]) || null
+  const next = (postIndex !== -1 && allPosts[postIndex - 1]) || null
   const post = await getFileBySlug('blog', params.slug.join('/'))
   const authorList = post.frontMatter.authors || ['default']
   const authorPromise = authorList.map(async (author) => {
@@ -30,41 +42,51 @@ export async function getStaticProps({ params }) {
     return authorResults.frontMatter
   })
   const authorDetails = await Promise.all(authorPromise)
+  const series = post.frontMatter.series && getSeries('blog', kebabCase(post.frontMatter.series))
+  const current = series ? series.posts.findIndex(({ slug }) => slug === entry.slug) : -1
+  const seriesDetails =
+    current !== -1
+      ? {
+          slug: series.slug,
+          name: series.name,
+          posts: series.posts.map(({ slug, title }) => ({ slug, title })),
+          current,
+        }
+      : null
 
-  // rss
-  if (allPosts.length > 0) {
-    const rss = generateRss(allPosts)
-    fs.writeFileSync('./public/feed.xml', rss)
-  }
+  const related = getRelatedPosts('blog', entry.slug)
 
-  return { props: { post, authorDetails, prev, next } }
+  return {
+    props: {
+      post,
+      authorDetails,
+      seriesDetails,
+      related,
+      prev,
+      next,
+      preview: !isPublished(entry),
+    },
+  }
 }
 
-export default function Blog({ post, authorDetails, prev, next }) {
-  const { mdxSource, toc, frontMatter } = post
+export default function Blog({ post, authorDetails, seriesDetails, related, prev, next, preview }) {
+  const { mdxSource, toc, videos, frontMatter } = post
 
   return (
     <>
-      {frontMatter.draft !== true ? (
-        <MDXLayoutRenderer
-          layout={frontMatter.layout || DEFAULT_LAYOUT}
-          toc={toc}
-          mdxSource={mdxSource}
-          frontMatter={frontMatter}
-          authorDetails={authorDetails}
-          prev={prev}
-          next={next}
-        />
-      ) : (
-        <div className="mt-24 text-center">
-          <PageTitle>
-            Under Construction{' '}
-            <span role="img" aria-label="roadwork sign">
-              🚧
-            </span>
-          </PageTitle>
-        </div>
-      )}
+      {preview && <PreviewBanner slug={frontMatter.slug} draft={frontMatter.draft === true} />}
+      <MDXLayoutRenderer
+        layout={frontMatter.layout || DEFAULT_LAYOUT}
+        toc={toc}
+        videos={videos}
+        mdxSource={mdxSource}
+        frontMatter={frontMatter}
+        authorDetails={authorDetails}
+        seriesDetails={seriesDetails}
+        related={related}
+        prev={prev}
+        next={next}
+      />
     </>
   )
 }
@@ -0,0 +1,11 @@
+import { getEntry, isPublished } from '@/lib/content-index'
+
+// eslint-disable-next-line import/no-anonymous-default-export
+export default async (req, res) => {
+  const { slug } = req.query
+  const entry = typeof slug === 'string' && getEntry('blog', slug)
+
+  res.clearPreviewData()
+  // Drafts and scheduled posts are a 404 outside preview mode
+  res.redirect(307, entry && isPublished(entry) ? `/${entry.slug}` : '/')
+}
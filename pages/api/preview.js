@@ -0,0 +1,27 @@
+import crypto from 'crypto'
+import { getEntry } from '@/lib/content-index'
+
+const isValidSecret = (secret) => {
+  const expected = process.env.PREVIEW_SECRET
+  if (!expected || typeof secret !== 'string' || secret.length !== expected.length) {
+    return false
+  }
+  return crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(expected))
+}
+
+// eslint-disable-next-line import/no-anonymous-default-export
+export default async (req, res) => {
+  const { slug, secret } = req.query
+  if (!isValidSecret(secret)) {
+    return res.status(401).json({ error: 'Invalid preview secret' })
+  }
+
+  const entry = typeof slug === 'string' && getEntry('blog', slug)
+  if (!entry) {
+    return res.status(404).json({ error: `No post found for ${slug}` })
+  }
+
+  res.setPreviewData({}, { maxAge: 60 * 60 })
+  // Redirect to the slug from the content index and not the query to avoid open redirects
+  res.redirect(307, `/${entry.slug}`)
+}
@@ -1,9 +1,9 @@
 import { getAllFilesFrontMatter } from '@/lib/mdx'
+import { POSTS_PER_PAGE } from '@/lib/routes'
 import siteMetadata from '@/data/siteMetadata'
 import ListLayout from '@/layouts/ListLayout'
 import { PageSEO } from '@/components/SEO'
-
-export const POSTS_PER_PAGE = 7
+import { getBlog } from '@/lib/structured-data'
 
 export async function getStaticProps() {
   const posts = await getAllFilesFrontMatter('blog')
@@ -19,7 +19,11 @@ export async function getStaticProps() {
 export default function Blog({ posts, initialDisplayPosts, pagination }) {
   return (
     <>
-      <PageSEO title={`Blog - ${siteMetadata.author}`} description={siteMetadata.description} />
+      <PageSEO
+        title={`Blog - ${siteMetadata.author}`}
+        description={siteMetadata.description}
+        structuredData={[getBlog(initialDisplayPosts, siteMetadata.siteUrl)]}
+      />
       <ListLayout
         posts={posts}
         initialDisplayPosts={initialDisplayPosts}
@@ -2,7 +2,8 @@ import { PageSEO } from '@/components/SEO'
 import siteMetadata from '@/data/siteMetadata'
 import { getAllFilesFrontMatter } from '@/lib/mdx'
 import ListLayout from '@/layouts/ListLayout'
-import { POSTS_PER_PAGE } from '../'
+import { POSTS_PER_PAGE } from '@/lib/routes'
+import { getBlog, getListingBreadcrumbs } from '@/lib/structured-data'
 
 export async function getStaticPaths() {
   const totalPosts = await getAllFilesFrontMatter('blog')
@@ -42,9 +43,19 @@ export async function getStaticProps(context) {
 }
 
 export default function PostPage({ posts, initialDisplayPosts, pagination }) {
+  const url = `${siteMetadata.siteUrl}/page/${pagination.currentPage}`
   return (
     <>
-      <PageSEO title={siteMetadata.title} description={siteMetadata.description} />
+      <PageSEO
+        title={siteMetadata.title}
+        description={siteMetadata.description}
+        // The first page lists the same posts as the home page
+        canonicalUrl={pagination.currentPage === 1 ? siteMetadata.siteUrl : undefined}
+        structuredData={[
+          getBlog(initialDisplayPosts, url),
+          getListingBreadcrumbs([{ name: `Page ${pagination.currentPage}`, url }]),
+        ]}
+      />
       <ListLayout
         posts={posts}
         initialDisplayPosts={initialDisplayPosts}
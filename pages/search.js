@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/router'
+import Link from '@/components/Link'
+import { PageSEO } from '@/components/SEO'
+import siteMetadata from '@/data/siteMetadata'
+import formatDate from '@/lib/utils/formatDate'
+import { loadSearchIndex, search } from '@/lib/search'
+
+export default function Search() {
+  const router = useRouter()
+  const [query, setQuery] = useState('')
+  const [index, setIndex] = useState(null)
+  const [error, setError] = useState(null)
+
+  // The query is only known in the browser, the page is prerendered without it
+  useEffect(() => {
+    if (router.isReady) {
+      setQuery(typeof router.query.q === 'string' ? router.query.q : '')
+    }
+  }, [router.isReady, router.query.q])
+
+  useEffect(() => {
+    if (query && !index) {
+      loadSearchIndex().then(setIndex, setError)
+    }
+  }, [query, index])
+
+  const onChange = (e) => {
+    setQuery(e.target.value)
+    router.replace(
+      { pathname: '/search', query: e.target.value ? { q: e.target.value } : {} },
+      undefined,
+      {
+        shallow: true,
+      }
+    )
+  }
+
+  const results = index ? search(index, query) : []
+
+  return (
+    <>
+      <PageSEO
+        title={`Search - ${siteMetadata.author}`}
+        description={`Search ${siteMetadata.title}`}
+      />
+      <div className="divide-y divide-gray-200 dark:divide-gray-700">
+        <div className="space-y-2 pt-6 pb-8 md:space-y-5">
+          <h1 className="text-3xl font-extrabold leading-9 tracking-tight text-gray-900 dark:text-gray-100 sm:text-4xl sm:leading-10 md:text-6xl md:leading-14">
+            Search
+          </h1>
+          <form role="search" onSubmit={(e) => e.preventDefault()}>
+            <input
+              aria-label="Search all posts"
+              type="search"
+              name="q"
+              value={query}
+              onChange={onChange}
+              placeholder="Search all posts"
+              autoComplete="off"
+              className="block w-full rounded-md border border-gray-300 bg-white px-4 py-2 text-gray-900 focus:border-primary-500 focus:ring-primary-500 dark:border-gray-900 dark:bg-gray-800 dark:text-gray-100"
+            />
+          </form>
+        </div>
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {error && <li className="py-8">Search is not available right now.</li>}
+          {query && index && !results.length && <li className="py-8">No posts found.</li>}
+          {results.map(({ slug, title, date, sections }) => (
+            <li key={slug} className="py-8">
+              <article className="space-y-3">
+                <div>
+                  <h2 className="text-2xl font-bold leading-8 tracking-tight">
+                    <Link href={`/${slug}`} className="text-gray-900 dark:text-gray-100">
+                      {title}
+                    </Link>
+                  </h2>
+                  <time
+                    dateTime={date}
+                    className="text-base font-medium leading-6 text-gray-500 dark:text-gray-400"
+                  >
+                    {formatDate(date)}
+                  </time>
+                </div>
+                {sections.map(({ anchor, heading, snippet }) => (
+                  <div key={anchor}>
+                    {heading && (
+                      <Link
+                        href={`/${slug}#${anchor}`}
+                        className="font-medium text-primary-500 hover:text-primary-600 dark:hover:text-primary-400"
+                      >
+                        # {heading}
+                      </Link>
+                    )}
+                    <p className="text-gray-500 dark:text-gray-400">
+                      {snippet.map((part, i) =>
+                        part.match ? (
+                          <mark
+                            key={i}
+                            className="rounded bg-primary-100 text-gray-900 dark:bg-primary-800 dark:text-gray-100"
+                          >
+                            {part.text}
+                          </mark>
+                        ) : (
+                          part.text
+                        )
+                      )}
+                    </p>
+                  </div>
+                ))}
+              </article>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,42 @@
+import { TagSEO } from '@/components/SEO'
+import siteMetadata from '@/data/siteMetadata'
+import SeriesLayout from '@/layouts/SeriesLayout'
+import { getAllSeries, getSeries } from '@/lib/series'
+import { getCollectionPage, getListingBreadcrumbs } from '@/lib/structured-data'
+
+export async function getStaticPaths() {
+  const series = await getAllSeries('blog')
+
+  return {
+    paths: Object.keys(series).map((slug) => ({
+      params: {
+        series: slug,
+      },
+    })),
+    fallback: false,
+  }
+}
+
+export async function getStaticProps({ params }) {
+  const series = getSeries('blog', params.series)
+
+  return { props: { series } }
+}
+
+export default function Series({ series }) {
+  const url = `${siteMetadata.siteUrl}/series/${series.slug}`
+  const description = `${series.name} series - ${siteMetadata.author}`
+  return (
+    <>
+      <TagSEO
+        title={`${series.name} - ${siteMetadata.author}`}
+        description={description}
+        structuredData={[
+          getCollectionPage({ name: series.name, description, url, posts: series.posts }),
+          getListingBreadcrumbs([{ name: series.name, url }]),
+        ]}
+      />
+      <SeriesLayout series={series} />
+    </>
+  )
+}
@@ -1,14 +1,10 @@
 import { TagSEO } from '@/components/SEO'
 import siteMetadata from '@/data/siteMetadata'
 import ListLayout from '@/layouts/ListLayout'
-import generateRss from '@/lib/generate-rss'
 import { getAllFilesFrontMatter } from '@/lib/mdx'
 import { getAllTags } from '@/lib/tags'
 import kebabCase from '@/lib/utils/kebabCase'
-import fs from 'fs'
-import path from 'path'
-
-const root = process.cwd()
+import { getCollectionPage, getListingBreadcrumbs } from '@/lib/structured-data'
 
 export async function getStaticPaths() {
   const tags = await getAllTags('blog')
@@ -29,25 +25,26 @@ export async function getStaticProps({ params }) {
     (post) => post.draft !== true && post.tags.map((t) => kebabCase(t)).includes(params.tag)
   )
 
-  // rss
-  if (filteredPosts.length > 0) {
-    const rss = generateRss(filteredPosts, `tags/${params.tag}/feed.xml`)
-    const rssPath = path.join(root, 'public', 'tags', params.tag)
-    fs.mkdirSync(rssPath, { recursive: true })
-    fs.writeFileSync(path.join(rssPath, 'feed.xml'), rss)
-  }
-
   return { props: { posts: filteredPosts, tag: params.tag } }
 }
 
 export default function Tag({ posts, tag }) {
   // Capitalize first letter and convert space to dash
   const title = tag[0].toUpperCase() + tag.split(' ').join('-').slice(1)
+  const url = `${siteMetadata.siteUrl}/tags/${tag}`
+  const description = `${tag} tags - ${siteMetadata.author}`
   return (
     <>
       <TagSEO
         title={`${tag} - ${siteMetadata.author}`}
-        description={`${tag} tags - ${siteMetadata.author}`}
+        description={description}
+        structuredData={[
+          getCollectionPage({ name: title, description, url, posts }),
+          getListingBreadcrumbs([
+            { name: 'Tags', url: `${siteMetadata.siteUrl}/tags` },
+            { name: title, url },
+          ]),
+        ]}
       />
       <ListLayout posts={posts} title={title} />
     </>
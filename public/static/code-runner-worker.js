@@ -0,0 +1,104 @@
+// The worker of components/CodeRunner.js, served as is. It runs a snippet of a post with the
+// modules of the post, sends the console output to the page and reports when the snippet is
+// done: evaluated, and no timers left. The page terminates it when it runs for too long.
+//
+// Its Content-Security-Policy, in next.config.js, only allows the blob urls of the snippet and
+// its modules.
+
+'use strict'
+
+const send = (message) => postMessage(message)
+const format = (value) => {
+  if (typeof value === 'string') return value
+  if (value instanceof Error) return value.name + ': ' + value.message
+  if (typeof value === 'function') return '[Function ' + (value.name || '(anonymous)') + ']'
+  try {
+    return JSON.stringify(value) ?? String(value)
+  } catch (e) {
+    return String(value)
+  }
+}
+for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+  console[level] = (...args) => send({ type: 'console', level, text: args.map(format).join(' ') })
+}
+addEventListener('error', (e) => {
+  // Handled here, it would be reported to the page as an error of the worker otherwise
+  e.preventDefault()
+  console.error(e.error ?? e.message)
+})
+addEventListener('unhandledrejection', (e) => console.error(e.reason))
+
+const timers = new Set()
+let evaluated = false
+const settle = () => evaluated && timers.size === 0 && send({ type: 'done' })
+const { setTimeout: set, clearTimeout: clear, setInterval: repeat, clearInterval: stop } = self
+self.setTimeout = (callback, delay, ...args) => {
+  const id = set(() => {
+    timers.delete(id)
+    try {
+      callback(...args)
+    } finally {
+      settle()
+    }
+  }, delay)
+  timers.add(id)
+  return id
+}
+self.setInterval = (callback, delay, ...args) => {
+  const id = repeat(callback, delay, ...args)
+  timers.add(id)
+  return id
+}
+self.clearTimeout = self.clearInterval = (id) => {
+  clear(id)
+  stop(id)
+  timers.delete(id)
+  settle()
+}
+
+// Workers have no import maps, imports of the modules of the post are pointed to their blob url
+const importPattern = /(\bfrom\s*|\bimport\s*\(?\s*)(['"])([^'"]+)\2/g
+
+const link = (modules) => {
+  const urls = {}
+  const linking = new Set()
+  const toUrl = (code) =>
+    URL.createObjectURL(
+      new Blob(
+        [
+          code.replace(importPattern, (match, keyword, quote, name) =>
+            Object.prototype.hasOwnProperty.call(modules, name)
+              ? `${keyword}${quote}${resolve(name)}${quote}`
+              : match
+          ),
+        ],
+        { type: 'text/javascript' }
+      )
+    )
+  const resolve = (name) => {
+    if (!urls[name]) {
+      if (linking.has(name)) {
+        throw new Error(`Module ${name} is imported in a cycle, which cannot run here`)
+      }
+      linking.add(name)
+      urls[name] = toUrl(modules[name])
+    }
+    return urls[name]
+  }
+  return toUrl
+}
+
+addEventListener(
+  'message',
+  (event) => {
+    const { source, modules } = event.data
+    Promise.resolve()
+      .then(() => import(link(modules)(source)))
+      .catch((error) => console.error(error))
+      .finally(() => {
+        evaluated = true
+        settle()
+      })
+  },
+  { once: true }
+)
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+// Writes the RSS, Atom and JSON feeds of the site, of every tag and of every series to
+// public/, run after `next build` (see the build script in package.json).
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { feedFiles, getFeeds, generateRss, generateAtom, generateJsonFeed } = require('../lib/feeds')
+
+const generators = {
+  rss: generateRss,
+  atom: generateAtom,
+  json: generateJsonFeed,
+}
+
+const feeds = getFeeds()
+feeds.forEach((feed) => {
+  const dir = path.join('public', feed.path)
+  fs.mkdirSync(dir, { recursive: true })
+  Object.entries(generators).forEach(([format, generate]) => {
+    fs.writeFileSync(path.join(dir, feedFiles[format]), generate(feed))
+  })
+})
+console.log(`feeds - wrote ${feeds.length} feeds in ${Object.keys(generators).join(', ')}`)
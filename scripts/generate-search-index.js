@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+// Writes the search index of the blog and the OpenSearch description of the site to public/,
+// run after `next build` (see the build script in package.json).
+
+'use strict'
+
+// Imported, lib/search-index.mjs is an ES module like the remark packages it uses
+import('../lib/search-index.mjs')
+  .then(({ writeSearchIndex }) => {
+    const index = writeSearchIndex('blog')
+    console.log(
+      `search - wrote ${index.posts.length} posts in search-index.json and opensearch.xml`
+    )
+  })
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
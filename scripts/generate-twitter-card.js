@@ -7,8 +7,7 @@ const fs = require('fs')
 const path = require('path')
 const mkdirp = require('mkdirp')
 const matter = require('gray-matter')
-
-const POSTS_DIR = path.join(__dirname, '../data/blog/')
+const { getContentIndex, isPublished } = require('../lib/content-index')
 
 async function main(args) {
   let skipImageGeneration = false
@@ -83,7 +82,7 @@ async function screenshot(page, post, targetDir, targetImage) {
 }
 
 function updatePost(post, targetImage) {
-  const postFile = path.join(POSTS_DIR, `${post}.md`)
+  const postFile = getContentIndex('blog').entries.find((entry) => entry.slug === post).filePath
   const contents = fs.readFileSync(postFile, 'utf-8')
   const frontMatter = matter(contents)
   const targetUrl = `/static/blog/${post}/twitter-card.png`
@@ -97,13 +96,9 @@ function updatePost(post, targetImage) {
 }
 
 function getAllPosts() {
-  const posts = fs
-    .readdirSync(POSTS_DIR)
-    .map((it) => path.join(POSTS_DIR, it))
-    .filter((it) => path.extname(it) === '.md')
-    .map((it) => path.basename(it, path.extname(it)))
-
-  return posts
+  return getContentIndex('blog')
+    .entries.filter((entry) => isPublished(entry))
+    .map((entry) => entry.slug)
 }
 
 function fileExists(file) {
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+// Triggers a deployment once a scheduled post is due.
+//
+// A post with a `publishAt` (or a `date`) in the future is left out of every listing, feed
+// and static path until that time has passed, but the static site only changes when it is
+// rebuilt. This script is run periodically (see .github/workflows/scheduled-publish.yml),
+// looks for posts whose publish time has passed recently and, when one of them is not in the
+// feed of the deployed site yet, calls the deploy hook in DEPLOY_HOOK_URL to rebuild the site.
+// The feed is checked rather than the page of the post, which next.js can render on demand
+// before the listings, feeds and sitemap are rebuilt.
+
+'use strict'
+
+const siteMetadata = require('../data/siteMetadata')
+const { getContentIndex, isPublished } = require('../lib/content-index')
+const { feedFiles } = require('../lib/feeds')
+
+const DAY = 24 * 60 * 60 * 1000
+
+async function main(args) {
+  let dryRun = false
+  let lookbackDays = 7
+  for (const a of args) {
+    if (a === '--dryRun') {
+      dryRun = true
+    } else if (a.startsWith('--lookbackDays=')) {
+      lookbackDays = Number(a.slice('--lookbackDays='.length))
+    }
+  }
+
+  const now = Date.now()
+  const due = getContentIndex('blog').entries.filter(
+    (entry) =>
+      isPublished(entry, now) && new Date(entry.publishAt).getTime() > now - lookbackDays * DAY
+  )
+
+  if (due.length === 0) {
+    console.log('No scheduled posts waiting to be published')
+    return
+  }
+
+  const feedUrl = `${siteMetadata.siteUrl}/${feedFiles.rss}`
+  const feed = await fetch(feedUrl)
+  if (!feed.ok) {
+    throw new Error(`Fetching ${feedUrl} failed with ${feed.status} ${feed.statusText}`)
+  }
+  const deployed = await feed.text()
+  const missing = due
+    .map((entry) => entry.slug)
+    .filter((slug) => !deployed.includes(`<link>${siteMetadata.siteUrl}/${slug}</link>`))
+
+  if (missing.length === 0) {
+    console.log('No scheduled posts waiting to be published')
+    return
+  }
+
+  console.log('Scheduled posts waiting to be published:', missing.join(', '))
+  if (dryRun) {
+    return
+  }
+  if (!process.env.DEPLOY_HOOK_URL) {
+    throw new Error('DEPLOY_HOOK_URL is not set, cannot trigger a deployment')
+  }
+  const res = await fetch(process.env.DEPLOY_HOOK_URL, { method: 'POST' })
+  if (!res.ok) {
+    throw new Error(`Deploy hook failed with ${res.status} ${res.statusText}`)
+  }
+  console.log('Deployment triggered')
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const siteMetadata = require('../data/siteMetadata')
+const { getCanonicalUrl, getCrossPosts, getOriginalPublication } = require('../lib/canonical')
+
+const crossPosted = [
+  { name: 'Zalando Engineering', url: 'https://engineering.zalando.com/posts/2022/01/post.html' },
+  { name: 'dev.to', url: 'https://dev.to/boopathi/post' },
+]
+
+test('getCanonicalUrl', async (t) => {
+  await t.test('is the url of the post on this site by default', () => {
+    assert.equal(getCanonicalUrl({ slug: 'blog/post' }), `${siteMetadata.siteUrl}/blog/post`)
+  })
+
+  await t.test('is the canonicalUrl of the post when it has one', () => {
+    assert.equal(
+      getCanonicalUrl({ slug: 'blog/post', canonicalUrl: crossPosted[0].url }),
+      crossPosted[0].url
+    )
+  })
+})
+
+test('getOriginalPublication', async (t) => {
+  await t.test('is null for posts first published on this site', () => {
+    assert.equal(getOriginalPublication({ crossPosted }), null)
+    assert.equal(
+      getOriginalPublication({ canonicalUrl: `${siteMetadata.siteUrl}/blog/post`, crossPosted }),
+      null
+    )
+    assert.equal(getOriginalPublication({ canonicalUrl: '/blog/post', crossPosted }), null)
+  })
+
+  await t.test('is named after the crossPosted entry of the canonicalUrl', () => {
+    assert.deepEqual(getOriginalPublication({ canonicalUrl: crossPosted[0].url, crossPosted }), {
+      name: 'Zalando Engineering',
+      url: crossPosted[0].url,
+    })
+  })
+
+  await t.test('is named after the host name of the canonicalUrl otherwise', () => {
+    assert.deepEqual(getOriginalPublication({ canonicalUrl: 'https://medium.com/@me/post' }), {
+      name: 'medium.com',
+      url: 'https://medium.com/@me/post',
+    })
+  })
+})
+
+test('getCrossPosts', async (t) => {
+  await t.test('are the crossPosted entries', () => {
+    assert.deepEqual(getCrossPosts({ crossPosted }), crossPosted)
+    assert.deepEqual(getCrossPosts({}), [])
+  })
+
+  await t.test('leave out the original publication', () => {
+    assert.deepEqual(getCrossPosts({ canonicalUrl: crossPosted[0].url, crossPosted }), [
+      crossPosted[1],
+    ])
+  })
+})
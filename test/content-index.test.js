@@ -0,0 +1,115 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { spawnSync } = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// The content index reads data/ of the working directory, and writes its artifact next to it
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'content-index-'))
+process.chdir(root)
+const { getContentIndex, isPublished, normalizeDates } = require('../lib/content-index')
+
+const DAY = 24 * 60 * 60 * 1000
+
+const writePost = (slug, frontMatter) => {
+  const dir = path.join(root, 'data', 'blog')
+  fs.mkdirSync(dir, { recursive: true })
+  const yaml = Object.entries(frontMatter)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n')
+  fs.writeFileSync(path.join(dir, `${slug}.md`), `---\n${yaml}\n---\n\nSome text\n`)
+}
+
+const withNodeEnv = (value, fn) => {
+  const previous = process.env.NODE_ENV
+  process.env.NODE_ENV = value
+  try {
+    return fn()
+  } finally {
+    process.env.NODE_ENV = previous
+  }
+}
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+test('isPublished', async (t) => {
+  const now = Date.parse('2022-12-31T12:00:00.000Z')
+
+  await t.test('drafts are never published', () => {
+    assert.equal(isPublished({ draft: true, publishAt: null }, now), false)
+    assert.equal(isPublished({ draft: true, publishAt: '2020-01-01T00:00:00.000Z' }, now), false)
+  })
+
+  await t.test('posts are published once their publishAt has passed', () => {
+    assert.equal(isPublished({ draft: false, publishAt: '2022-12-31T11:59:59.000Z' }, now), true)
+    assert.equal(isPublished({ draft: false, publishAt: '2022-12-31T12:00:00.000Z' }, now), true)
+    assert.equal(isPublished({ draft: false, publishAt: '2022-12-31T12:00:01.000Z' }, now), false)
+  })
+
+  await t.test('posts without a date are published', () => {
+    assert.equal(isPublished({ draft: false, publishAt: null }, now), true)
+  })
+})
+
+test('normalizeDates turns the Dates of YAML into ISO strings', () => {
+  assert.deepEqual(
+    normalizeDates({
+      date: new Date('2022-12-01'),
+      lastmod: '2022-12-02',
+      publishAt: new Date('2022-12-03T08:00:00Z'),
+    }),
+    {
+      date: '2022-12-01T00:00:00.000Z',
+      lastmod: '2022-12-02T00:00:00.000Z',
+      publishAt: '2022-12-03T08:00:00.000Z',
+    }
+  )
+  assert.deepEqual(normalizeDates({ date: 'not a date' }), { date: null })
+})
+
+test('getContentIndex', async (t) => {
+  const future = new Date(Date.now() + DAY).toISOString()
+  writePost('published', { title: 'Published', date: '2022-01-01', tags: ['GraphQL'] })
+  writePost('older', { title: 'Older', date: '2021-01-01', tags: ['GraphQL', 'Git'] })
+  writePost('draft', { title: 'Draft', date: '2022-02-01', tags: ['Drafts'], draft: true })
+  writePost('scheduled', {
+    title: 'Scheduled',
+    date: '2022-03-01',
+    tags: ['Soon'],
+    publishAt: future,
+  })
+
+  await t.test('lists every post newest first, with the counts of published posts', () => {
+    const index = withNodeEnv('production', () => getContentIndex('blog'))
+    assert.deepEqual(
+      index.entries.map((entry) => entry.slug),
+      ['scheduled', 'draft', 'published', 'older']
+    )
+    assert.deepEqual(index.tags, { graphql: 2, git: 1 })
+    assert.equal(index.nextPublishAt, future)
+  })
+
+  await t.test('the frontmatter of entries can be passed as props', () => {
+    const entry = getContentIndex('blog').entries.find(({ slug }) => slug === 'scheduled')
+    assert.equal(entry.frontMatter.publishAt, future)
+    assert.equal(entry.frontMatter.date, '2022-03-01T00:00:00.000Z')
+    assert.ok(Object.values(entry.frontMatter).every((value) => !(value instanceof Date)))
+  })
+
+  await t.test('frontmatter problems of an artifact written in development fail production', () => {
+    writePost('invalid', { title: 'Invalid', date: '2022-04-01', tags: 'GraphQL', draft: true })
+    t.mock.method(console, 'warn', () => {})
+    withNodeEnv('development', () => getContentIndex('blog'))
+
+    // A new process, like a build after `next dev`, reads the artifact
+    const script = `process.env.NODE_ENV = 'production'
+      require(${JSON.stringify(require.resolve('../lib/content-index'))}).getContentIndex('blog')`
+    const { status, stderr } = spawnSync(process.execPath, ['-e', script], {
+      cwd: root,
+      encoding: 'utf8',
+    })
+    assert.notEqual(status, 0)
+    assert.match(stderr, /Invalid frontmatter in data\/blog\/invalid.md:/)
+  })
+})
@@ -0,0 +1,161 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// The feeds read the posts and authors in data/ of the working directory, and the full content
+// of the posts from their compiled output in .next/mdx
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'))
+process.chdir(root)
+const { generateAtom, generateJsonFeed, generateRss, getFeeds } = require('../lib/feeds')
+
+const original = 'https://engineering.zalando.com/posts/2022/01/graphql-and-more.html'
+const crossPost = 'https://dev.to/boopathi/graphql-and-more'
+
+const writeFile = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true })
+  fs.writeFileSync(path.join(root, file), content)
+}
+
+const writePost = (slug, frontMatter) => {
+  const yaml = Object.entries(frontMatter)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n')
+  writeFile(`data/blog/${slug}.md`, `---\n${yaml}\n---\n\nSome text\n`)
+}
+
+// What bundleMDX would have compiled, rendered with the components of lib/feed-content.js
+const writeCompiled = (slug, code) =>
+  writeFile(`.next/mdx/blog/${slug}.json`, JSON.stringify({ mdxSource: code, toc: [] }))
+
+writeFile('data/authors/default.md', '---\nname: Boopathi Rajaa\nemail: me@boopathi.blog\n---\n')
+writePost('graphql-and-more', {
+  title: 'GraphQL & more',
+  date: '2022-01-01',
+  lastmod: '2022-06-01',
+  summary: 'Fields <and> types',
+  tags: ['GraphQL'],
+  canonicalUrl: original,
+  crossPosted: [
+    { name: 'Zalando Engineering', url: original },
+    { name: 'dev.to', url: crossPost },
+  ],
+})
+writePost('newer', { title: 'Newer', date: '2022-03-01', tags: ['Git'] })
+writePost('draft', { title: 'Draft', date: '2022-04-01', tags: ['GraphQL'], draft: true })
+
+// Diagrams are inlined svg, which can have CDATA of their own
+const svg = '<svg><style><![CDATA[text { fill: red }]]></style></svg>'
+writeCompiled(
+  'graphql-and-more',
+  `const { createElement: h } = React
+  return {
+    default: ({ components: c }) => [
+      h('p', { key: 'p' }, h(c.a, { href: '/newer' }, 'newer')),
+      h(c.Diagram, { key: 'diagram', light: ${JSON.stringify(svg)} }),
+    ],
+  }`
+)
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+test('getFeeds', async (t) => {
+  const feeds = getFeeds()
+  const slugs = (feed) => feed.posts.map((post) => post.slug)
+
+  await t.test('the feed of the site has the published posts, newest first', () => {
+    assert.equal(feeds[0].path, '')
+    assert.deepEqual(slugs(feeds[0]), ['newer', 'graphql-and-more'])
+  })
+
+  await t.test('every tag has a feed with its published posts', () => {
+    assert.deepEqual(
+      feeds.slice(1).map((feed) => [feed.path, slugs(feed)]),
+      [
+        ['tags/git', ['newer']],
+        ['tags/graphql', ['graphql-and-more']],
+      ]
+    )
+  })
+})
+
+test('generateRss', async (t) => {
+  const rss = generateRss(getFeeds()[0])
+
+  await t.test('the feed is updated with its latest post update', () => {
+    assert.ok(
+      rss.includes(`<lastBuildDate>${new Date('2022-06-01').toUTCString()}</lastBuildDate>`)
+    )
+  })
+
+  await t.test('escapes the frontmatter', () => {
+    assert.ok(rss.includes('<title>GraphQL &amp; more</title>'))
+    assert.ok(rss.includes('<description>Fields &lt;and&gt; types</description>'))
+    assert.ok(rss.includes('<dc:creator>Boopathi Rajaa</dc:creator>'))
+  })
+
+  await t.test('has the full content of compiled posts, with the end of CDATA escaped', () => {
+    const content = rss.match(/<content:encoded>(.*)<\/content:encoded>/s)[1]
+    assert.ok(content.startsWith('<![CDATA['))
+    assert.ok(content.includes('text { fill: red }]]]]><![CDATA[></style>'))
+    assert.equal(content.match(/]]>/g).length, 2)
+    assert.ok(content.includes('<a href="https://boopathi.blog/newer">newer</a>'))
+    assert.equal(rss.match(/<content:encoded>/g).length, 1)
+  })
+
+  await t.test('the content links to the original publication and the cross posts', () => {
+    assert.ok(
+      rss.includes(
+        `<p><em>Originally published at <a href="${original}">Zalando Engineering</a>.</em></p>` +
+          `<p><em>Also published on <a href="${crossPost}">dev.to</a>.</em></p>`
+      )
+    )
+  })
+})
+
+test('generateAtom', async (t) => {
+  const atom = generateAtom(getFeeds()[0])
+
+  await t.test('entries are updated with their lastmod, or their date', () => {
+    assert.ok(atom.includes('<updated>2022-06-01T00:00:00.000Z</updated>'))
+    assert.ok(atom.includes('<updated>2022-03-01T00:00:00.000Z</updated>'))
+  })
+
+  await t.test('entries link to the original publication and the cross posts', () => {
+    assert.ok(
+      atom.includes(
+        `<link rel="related" type="text/html" title="Zalando Engineering" href="${original}"/>`
+      )
+    )
+    assert.ok(
+      atom.includes(`<link rel="related" type="text/html" title="dev.to" href="${crossPost}"/>`)
+    )
+  })
+
+  await t.test('the content is escaped html', () => {
+    assert.ok(atom.includes('<content type="html">&lt;p&gt;&lt;em&gt;Originally published'))
+  })
+})
+
+test('generateJsonFeed', async (t) => {
+  const feed = JSON.parse(generateJsonFeed(getFeeds()[0]))
+  const [newer, graphqlAndMore] = feed.items
+
+  await t.test('items of cross posts have the original as their external_url', () => {
+    assert.equal(graphqlAndMore.external_url, original)
+    assert.equal('external_url' in newer, false)
+  })
+
+  await t.test('items have the full content, or their summary or title', () => {
+    assert.ok(graphqlAndMore.content_html.includes(`<figure><div>${svg}</div></figure>`))
+    assert.equal(newer.content_text, 'Newer')
+    assert.equal('content_html' in newer, false)
+  })
+
+  await t.test('items have their authors and tags', () => {
+    assert.deepEqual(newer.authors, [{ name: 'Boopathi Rajaa', url: 'https://boopathi.blog' }])
+    assert.deepEqual(graphqlAndMore.tags, ['GraphQL'])
+    assert.equal(graphqlAndMore.date_modified, '2022-06-01T00:00:00.000Z')
+  })
+})
@@ -0,0 +1,105 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { validateFrontMatter, checkFrontMatter } = require('../lib/frontmatter-schema')
+
+const post = {
+  title: 'A post',
+  date: '2022-12-31',
+  tags: ['GraphQL'],
+}
+
+const withNodeEnv = (value, fn) => {
+  const previous = process.env.NODE_ENV
+  process.env.NODE_ENV = value
+  try {
+    return fn()
+  } finally {
+    process.env.NODE_ENV = previous
+  }
+}
+
+test('a post with the required fields is valid', () => {
+  assert.deepEqual(validateFrontMatter('blog', post), [])
+})
+
+test('dates can be strings or the Dates of YAML', () => {
+  assert.deepEqual(validateFrontMatter('blog', { ...post, date: new Date('2022-12-31') }), [])
+  assert.deepEqual(validateFrontMatter('blog', { ...post, date: 'yesterday' }), [
+    `"date" should be a date like '2022-12-31', got "yesterday"`,
+  ])
+})
+
+test('required fields are reported', () => {
+  assert.deepEqual(validateFrontMatter('blog', {}), [
+    '"title" is required',
+    '"date" is required',
+    '"tags" is required',
+  ])
+})
+
+test('fields of the wrong type are reported with the expected type', () => {
+  assert.deepEqual(validateFrontMatter('blog', { ...post, tags: 'GraphQL', draft: 'yes' }), [
+    '"tags" should be a list of strings, got "GraphQL"',
+    '"draft" should be true or false, got "yes"',
+  ])
+})
+
+test('seriesOrder is required in a series', () => {
+  assert.deepEqual(validateFrontMatter('blog', { ...post, series: 'GraphQL Optimization' }), [
+    '"seriesOrder" is required',
+  ])
+  assert.deepEqual(
+    validateFrontMatter('blog', { ...post, series: 'GraphQL Optimization', seriesOrder: 1 }),
+    []
+  )
+})
+
+test('layouts and authors have to exist', () => {
+  assert.deepEqual(validateFrontMatter('blog', { ...post, layout: 'PostSimple' }), [])
+  const [layout, authors] = validateFrontMatter('blog', {
+    ...post,
+    layout: 'PostMissing',
+    authors: ['default', 'nobody'],
+  })
+  assert.match(layout, /^"layout" should be one of .*PostLayout.*, got "PostMissing"$/)
+  assert.match(authors, /^"authors" should be one of .*default.*, got "nobody"$/)
+})
+
+test('canonicalUrl and crossPosted need absolute urls', () => {
+  assert.deepEqual(
+    validateFrontMatter('blog', {
+      ...post,
+      canonicalUrl: 'https://example.com/post',
+      crossPosted: [{ name: 'Example', url: 'https://example.com/post' }],
+    }),
+    []
+  )
+  assert.equal(
+    validateFrontMatter('blog', {
+      ...post,
+      canonicalUrl: '/post',
+      crossPosted: [{ name: 'Example' }],
+    }).length,
+    2
+  )
+})
+
+test('unknown content types are not validated', () => {
+  assert.deepEqual(validateFrontMatter('snippets', {}), [])
+})
+
+test('problems fail the production build', () => {
+  withNodeEnv('production', () =>
+    assert.throws(
+      () => checkFrontMatter('blog', 'post.md', { ...post, title: 1 }),
+      /Invalid frontmatter in data\/blog\/post.md:\n {2}- "title" should be a string, got 1/
+    )
+  )
+})
+
+test('problems are warnings in development', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {})
+  withNodeEnv('development', () => checkFrontMatter('blog', 'post.md', { ...post, title: 1 }))
+  assert.equal(warn.mock.calls.length, 1)
+  assert.match(warn.mock.calls[0].arguments[0], /^Invalid frontmatter in data\/blog\/post.md:/)
+})
@@ -0,0 +1,119 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+// The routes are the pages/ and the posts in data/ of the working directory
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'))
+process.chdir(root)
+const { generateRobots, generateSitemaps, getSitemapEntries } = require('../lib/sitemap')
+const { POSTS_PER_PAGE } = require('../lib/routes')
+
+const writeFile = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true })
+  fs.writeFileSync(path.join(root, file), content)
+}
+
+const writePost = (slug, frontMatter) => {
+  const yaml = Object.entries(frontMatter)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n')
+  writeFile(`data/blog/${slug}.md`, `---\n${yaml}\n---\n\nSome text\n`)
+}
+
+;[
+  'index.js',
+  'blog.js',
+  '[...slug].js',
+  'tags/[tag].js',
+  'api/feed.js',
+  '_app.js',
+  '404.js',
+].forEach((page) => writeFile(`pages/${page}`, ''))
+// One more post than the home page lists, the oldest one is on /page/2
+for (let i = 1; i <= POSTS_PER_PAGE + 1; i++) {
+  writePost(`post-${i}`, {
+    title: `Post ${i}`,
+    date: `2022-01-0${i}`,
+    tags: ['GraphQL'],
+    ...(i === 1 && { lastmod: '2022-12-01' }),
+    ...(i === 2 && { canonicalUrl: 'https://dev.to/boopathi/post-2' }),
+    ...(i === 3 && { images: ['/static/images/post-3.png'] }),
+  })
+}
+writePost('draft', { title: 'Draft', date: '2022-02-01', tags: ['Drafts'], draft: true })
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+test('getSitemapEntries', async (t) => {
+  const entries = getSitemapEntries()
+  const byLoc = Object.fromEntries(entries.map((entry) => [entry.loc, entry]))
+
+  await t.test(
+    'lists the canonical urls, without /page/1 and the posts first published elsewhere',
+    () => {
+      assert.deepEqual(Object.keys(byLoc).sort(), [
+        'https://boopathi.blog/',
+        'https://boopathi.blog/blog',
+        'https://boopathi.blog/page/2',
+        ...[1, 3, 4, 5, 6, 7, 8].map((i) => `https://boopathi.blog/post-${i}`),
+        'https://boopathi.blog/tags/graphql',
+      ])
+    }
+  )
+
+  await t.test('listings are last modified when the latest of their posts was', () => {
+    assert.equal(byLoc['https://boopathi.blog/'].lastmod, '2022-12-01T00:00:00.000Z')
+    assert.equal(byLoc['https://boopathi.blog/page/2'].lastmod, '2022-12-01T00:00:00.000Z')
+    assert.equal(byLoc['https://boopathi.blog/tags/graphql'].lastmod, '2022-12-01T00:00:00.000Z')
+    assert.equal(byLoc['https://boopathi.blog/post-8'].lastmod, '2022-01-08T00:00:00.000Z')
+    assert.equal('lastmod' in byLoc['https://boopathi.blog/blog'], false)
+  })
+
+  await t.test('posts have their images', () => {
+    assert.deepEqual(byLoc['https://boopathi.blog/post-3'].images, [
+      'https://boopathi.blog/static/images/post-3.png',
+    ])
+  })
+})
+
+test('generateSitemaps', async (t) => {
+  const entry = (i) => ({ loc: `https://boopathi.blog/${i}`, lastmod: '2022-01-01', images: [] })
+
+  await t.test('is a single sitemap up to 50000 urls', () => {
+    const files = generateSitemaps(Array.from({ length: 50000 }, (_, i) => entry(i)))
+    assert.deepEqual(Object.keys(files), ['sitemap.xml'])
+    assert.equal(files['sitemap.xml'].match(/<url>/g).length, 50000)
+  })
+
+  await t.test('is an index of sitemaps of 50000 urls above that', () => {
+    const entries = Array.from({ length: 50001 }, (_, i) => entry(i))
+    entries[50000].lastmod = '2022-02-01'
+    const files = generateSitemaps(entries)
+    assert.deepEqual(Object.keys(files).sort(), ['sitemap-1.xml', 'sitemap-2.xml', 'sitemap.xml'])
+    assert.equal(files['sitemap-1.xml'].match(/<url>/g).length, 50000)
+    assert.equal(files['sitemap-2.xml'].match(/<url>/g).length, 1)
+    assert.ok(
+      files['sitemap.xml'].includes(
+        '<sitemap>\n<loc>https://boopathi.blog/sitemap-2.xml</loc>\n<lastmod>2022-02-01</lastmod>\n</sitemap>'
+      )
+    )
+  })
+
+  await t.test('escapes the urls', () => {
+    const files = generateSitemaps([
+      { loc: 'https://boopathi.blog/?a=1&b=2', images: ['https://boopathi.blog/a&b.png'] },
+    ])
+    assert.ok(files['sitemap.xml'].includes('<loc>https://boopathi.blog/?a=1&amp;b=2</loc>'))
+    assert.ok(files['sitemap.xml'].includes('<image:loc>https://boopathi.blog/a&amp;b.png'))
+    assert.equal(files['sitemap.xml'].includes('<lastmod>'), false)
+  })
+})
+
+test('generateRobots points to the sitemap', () => {
+  assert.equal(
+    generateRobots(),
+    'User-agent: *\nAllow: /\n\nSitemap: https://boopathi.blog/sitemap.xml\n'
+  )
+})